@@ -10,19 +10,38 @@
 'use strict';
 
 // System prompt shared with server.js — single source of truth
-importScripts('system-prompt.js');
-// CLASSIFICATION_SYSTEM_PROMPT is now available as a global variable
+importScripts('reason-categories.js', 'system-prompt.js', 'verdict-schema.js', 'strictness.js');
+// REASON_CATEGORIES, buildClassificationPrompt, personalRulesPrompt,
+// classificationPromptKey, VERDICTS_TOOL, unwrapVerdicts, verdictError,
+// classifyWithRepair, LOW_CONFIDENCE, STRICTNESS_LEVELS and applyStrictness
+// are now available as global variables
 
 // -------------------------------------------------------------------
 // Constants
 // -------------------------------------------------------------------
-const LOCAL_SERVER = 'http://127.0.0.1:7890';
+const DEFAULT_LOCAL_SERVER = 'http://127.0.0.1:7890';
+const LOCAL_SERVER_HOSTS = ['127.0.0.1', 'localhost'];  // must match manifest host_permissions
 const CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
 const CACHE_MAX_ENTRIES = 500;
 const DEFAULT_TIME_LIMIT_SECONDS = 900; // 15 minutes
 const LOCKOUT_CLOSE_DELAY_MS = 3000;
 const RETRY_DELAY_MS = 1000;
 const MAX_RETRY_ATTEMPTS = 2;
+const BUSY_STATUSES = [429, 503, 529];  // rate limited / queue timeout / API overloaded
+const DEFAULT_BACKOFF_MS = 5000;
+const MAX_BACKOFF_MS = 30000;
+const API_MODEL = 'claude-sonnet-4-20250514';
+const BUDGET_MODEL = 'claude-3-5-haiku-20241022';  // cheaper model used near the spend cap
+
+// Models the popup offers per classification mode: claude CLI aliases
+// sent to the local server ('' keeps the server's own --model), and
+// Messages API ids. The first is the default. CASCADE_MODELS are the
+// fast first-pass models of the cascade.
+const MODEL_CHOICES = {
+  local: ['', 'sonnet', 'opus', 'haiku'],
+  api: [API_MODEL, 'claude-opus-4-20250514', BUDGET_MODEL],
+};
+const CASCADE_MODELS = { local: 'haiku', api: BUDGET_MODEL };
 
 // -------------------------------------------------------------------
 // Hashing utility — djb2 hash matching content.js
@@ -129,7 +148,7 @@ async function getCacheEntry(hash) {
   return entry;
 }
 
-async function setCacheEntry(hash, verdict, reason, distilled) {
+async function setCacheEntry(hash, { verdict, reason, distilled, confidence, category, lowEffort, promptVersion }) {
   await loadCacheIntoMemory();
 
   // LRU eviction: if at capacity, remove oldest entries
@@ -144,6 +163,10 @@ async function setCacheEntry(hash, verdict, reason, distilled) {
 
   const entry = { verdict, reason, timestamp: Date.now() };
   if (distilled) entry.distilled = distilled;
+  if (typeof confidence === 'number') entry.confidence = confidence;
+  if (category) entry.category = category;
+  if (lowEffort) entry.lowEffort = true;
+  if (promptVersion) entry.promptVersion = promptVersion;
   cacheMemory[hash] = entry;
   cacheDirty = true;
 }
@@ -197,6 +220,28 @@ async function getSettings() {
   return settings || {};
 }
 
+// -------------------------------------------------------------------
+// Local server address — user setting, defaults to port 7890
+// -------------------------------------------------------------------
+// Prompt build the server last reported (in /health or on a
+// classification response); null until it has answered
+let serverPromptVersion = null;
+
+async function getLocalServerUrl() {
+  const settings = await getSettings();
+  return settings.serverUrl || DEFAULT_LOCAL_SERVER;
+}
+
+// -------------------------------------------------------------------
+// Local server request headers — include the pairing token
+// -------------------------------------------------------------------
+async function getServerHeaders() {
+  const { serverToken } = await chrome.storage.local.get('serverToken');
+  const headers = { 'Content-Type': 'application/json' };
+  if (serverToken) headers['X-Shield-Token'] = serverToken;
+  return headers;
+}
+
 // -------------------------------------------------------------------
 // Daily usage helpers
 // -------------------------------------------------------------------
@@ -228,7 +273,7 @@ async function getDailyStats() {
   const today = todayString();
 
   if (!dailyStats || dailyStats.date !== today) {
-    const fresh = { date: today, filtered: 0, shown: 0, analyzed: 0, nourished: 0, distilled: 0 };
+    const fresh = { date: today, filtered: 0, shown: 0, analyzed: 0, nourished: 0, distilled: 0, provisional: 0, ruleMuted: 0, ruleAllowed: 0, categories: {}, cascaded: 0, escalated: 0, revealed: 0 };
     await chrome.storage.local.set({ dailyStats: fresh });
     return fresh;
   }
@@ -236,24 +281,166 @@ async function getDailyStats() {
   return dailyStats;
 }
 
-async function updateDailyStats(filtered, shown, nourished, distilled) {
-  const stats = await getDailyStats();
-  stats.filtered += filtered;
-  stats.shown += shown;
-  stats.nourished += (nourished || 0);
-  stats.distilled += (distilled || 0);
-  stats.analyzed += filtered + shown;
-  await chrome.storage.local.set({ dailyStats: stats });
+// The writers below share the dailyStats key with each other and with
+// concurrent batches from every tab, so each holds the storage lock.
+
+// `categories` maps REASON_CATEGORIES codes to this batch's counts
+function updateDailyStats(filtered, shown, nourished, distilled, provisional, ruleMuted, ruleAllowed, categories) {
+  return withStorageLock(async () => {
+    const stats = await getDailyStats();
+    stats.filtered += filtered;
+    stats.shown += shown;
+    stats.nourished += (nourished || 0);
+    stats.distilled += (distilled || 0);
+    stats.provisional = (stats.provisional || 0) + (provisional || 0);
+    stats.ruleMuted = (stats.ruleMuted || 0) + (ruleMuted || 0);
+    stats.ruleAllowed = (stats.ruleAllowed || 0) + (ruleAllowed || 0);
+    stats.categories = stats.categories || {};
+    for (const [code, count] of Object.entries(categories || {})) {
+      stats.categories[code] = (stats.categories[code] || 0) + count;
+    }
+    stats.analyzed += filtered + shown;
+    await chrome.storage.local.set({ dailyStats: stats });
+  });
+}
+
+// Tweets the cascade's first pass classified, and how many of those it
+// handed on to the stronger model
+function updateCascadeStats(cascaded, escalated) {
+  return withStorageLock(async () => {
+    const stats = await getDailyStats();
+    stats.cascaded = (stats.cascaded || 0) + cascaded;
+    stats.escalated = (stats.escalated || 0) + escalated;
+    await chrome.storage.local.set({ dailyStats: stats });
+  });
+}
+
+// A filtered tweet the user clicked open in collapsed display mode
+function recordReveal() {
+  return withStorageLock(async () => {
+    const stats = await getDailyStats();
+    stats.revealed = (stats.revealed || 0) + 1;
+    await chrome.storage.local.set({ dailyStats: stats });
+  });
+}
+
+// -------------------------------------------------------------------
+// API token usage — input and output tokens of every Messages API call,
+// priced with the per-model table (USD per million tokens) and totalled
+// per day. The table is the user's own once they have edited it.
+// Prompt cache writes and reads are counted apart from input tokens and
+// priced as multiples of the input price, as Anthropic bills them.
+// -------------------------------------------------------------------
+const DEFAULT_MODEL_PRICES = {
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-opus-4-20250514': { input: 15, output: 75 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+};
+const CACHE_WRITE_PRICE_FACTOR = 1.25;
+const CACHE_READ_PRICE_FACTOR = 0.1;
+const USAGE_HISTORY_DAYS = 90;
+
+// Writes are chained so concurrent batches don't overwrite each
+// other's totals
+let tokenUsageWrite = Promise.resolve();
+
+function getModelPrices(settings) {
+  return settings.modelPrices || DEFAULT_MODEL_PRICES;
+}
+
+function recordTokenUsage(model, usage, settings) {
+  if (!usage) return tokenUsageWrite;
+  const inputTokens = usage.input_tokens || 0;
+  const outputTokens = usage.output_tokens || 0;
+  const cacheWriteTokens = usage.cache_creation_input_tokens || 0;
+  const cacheReadTokens = usage.cache_read_input_tokens || 0;
+  const price = getModelPrices(settings)[model];
+  const cost = price
+    ? (inputTokens * price.input + outputTokens * price.output +
+       cacheWriteTokens * price.input * CACHE_WRITE_PRICE_FACTOR +
+       cacheReadTokens * price.input * CACHE_READ_PRICE_FACTOR) / 1e6
+    : 0;
+
+  const add = (totals) => {
+    totals.calls++;
+    totals.inputTokens += inputTokens;
+    totals.outputTokens += outputTokens;
+    totals.cacheWriteTokens = (totals.cacheWriteTokens || 0) + cacheWriteTokens;
+    totals.cacheReadTokens = (totals.cacheReadTokens || 0) + cacheReadTokens;
+    totals.cost += cost;
+  };
+
+  tokenUsageWrite = tokenUsageWrite.then(async () => {
+    const { tokenUsage } = await chrome.storage.local.get('tokenUsage');
+    const days = tokenUsage || {};
+    const today = todayString();
+    const day = days[today] || { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, models: {} };
+    add(day);
+    if (!price) day.unpriced = true;
+
+    const perModel = day.models[model] || { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+    add(perModel);
+    day.models[model] = perModel;
+    days[today] = day;
+
+    // Dates sort as strings; drop the oldest beyond the history window
+    const dates = Object.keys(days).sort();
+    for (const date of dates.slice(0, Math.max(0, dates.length - USAGE_HISTORY_DAYS))) {
+      delete days[date];
+    }
+    await chrome.storage.local.set({ tokenUsage: days });
+  }).catch((e) => {
+    console.error('[X-Shield] Failed to record token usage:', e);
+  });
+  return tokenUsageWrite;
+}
+
+// -------------------------------------------------------------------
+// API spend budget — optional daily and monthly dollar caps on API Key
+// mode (settings.budget = { daily, monthly, nearLimit }). From
+// BUDGET_NEAR_FRACTION of a cap, batches go to BUDGET_MODEL, or with
+// nearLimit 'cache' only cached verdicts are used. Past a cap, nothing
+// new is classified: uncached tweets fail closed and content.js shows
+// the budget overlay.
+// -------------------------------------------------------------------
+const BUDGET_NEAR_FRACTION = 0.8;
+const BUDGET_NEAR_LIMIT_MODES = ['model', 'cache'];
+
+async function getApiSpend() {
+  const { tokenUsage } = await chrome.storage.local.get('tokenUsage');
+  const days = tokenUsage || {};
+  const today = todayString();
+  const month = today.slice(0, 7);
+  let monthSpend = 0;
+  for (const [date, day] of Object.entries(days)) {
+    if (date.startsWith(month)) monthSpend += day.cost || 0;
+  }
+  return { today: (days[today] && days[today].cost) || 0, month: monthSpend };
+}
+
+// { state: 'ok' | 'near' | 'exceeded', period } for the tightest cap;
+// `period` is 'daily' or 'monthly', null when no cap is near
+function getBudgetState(budget, spend) {
+  let result = { state: 'ok', period: null };
+  if (!budget) return result;
+  for (const [period, cap, spent] of [['daily', budget.daily, spend.today], ['monthly', budget.monthly, spend.month]]) {
+    if (!(cap > 0)) continue;
+    if (spent >= cap) return { state: 'exceeded', period };
+    if (spent >= cap * BUDGET_NEAR_FRACTION && result.state === 'ok') result = { state: 'near', period };
+  }
+  return result;
 }
 
 // -------------------------------------------------------------------
-// Fail-closed verdict generator
+// Fail-closed verdict generator — marks the tweets `unavailable` so the
+// offline fallback can stand in when the backend couldn't be reached
 // -------------------------------------------------------------------
 function filterAllVerdicts(tweets, reason) {
   return tweets.map((t) => ({
     id: t.id,
     verdict: 'block',
     reason: reason || 'classification unavailable — fail closed',
+    unavailable: true,
   }));
 }
 
@@ -264,47 +451,263 @@ const NOURISH_VERDICTS = ['nourish', 'beneficial', 'nurture', 'promote'];
 const SHOW_VERDICTS = ['show', 'allow', 'approve', 'keep', 'display', 'visible'];
 const DISTILL_VERDICTS = ['distill', 'rewrite', 'summarize'];
 
+// `confidence` is null when the model didn't give one. A distilled
+// rewrite is kept whatever the verdict, so applyStrictness can use it.
+// `category` is a REASON_CATEGORIES code (see normalizeCategory).
+// `lowEffort` marks a reply that adds nothing to the discussion; on
+// status pages content.js collapses those instead of showing them.
 function normalizeVerdict(serverVerdict) {
   if (!serverVerdict || typeof serverVerdict.verdict !== 'string') {
-    return { verdict: 'block', reason: 'no verdict returned — fail closed' };
+    return { verdict: 'block', reason: 'no verdict returned — fail closed', confidence: null, category: null };
   }
 
   const v = serverVerdict.verdict.toLowerCase();
+  const confidence = typeof serverVerdict.confidence === 'number' ? serverVerdict.confidence : null;
+  const category = normalizeCategory(serverVerdict.category);
+  const distilled = serverVerdict.distilled || null;
+  const lowEffort = serverVerdict.low_effort === true;
 
   if (NOURISH_VERDICTS.includes(v)) {
-    return { verdict: 'nourish', reason: serverVerdict.reason || 'nourishing content' };
+    return { verdict: 'nourish', reason: serverVerdict.reason || 'nourishing content', confidence, category, lowEffort };
   }
   if (DISTILL_VERDICTS.includes(v)) {
-    return { verdict: 'distill', reason: serverVerdict.reason || 'distilled', distilled: serverVerdict.distilled || null };
+    return { verdict: 'distill', reason: serverVerdict.reason || 'distilled', distilled, confidence, category, lowEffort };
   }
   if (SHOW_VERDICTS.includes(v)) {
-    return { verdict: 'allow', reason: serverVerdict.reason || 'approved' };
+    return { verdict: 'allow', reason: serverVerdict.reason || 'approved', distilled, confidence, category, lowEffort };
+  }
+  return { verdict: 'block', reason: serverVerdict.reason || 'filtered', distilled, confidence, category, lowEffort };
+}
+
+// One of the REASON_CATEGORIES codes; anything else the model sends is
+// "other", and a verdict without a category has none (null)
+function normalizeCategory(code) {
+  if (typeof code !== 'string' || !code.trim()) return null;
+  const normalized = code.trim().toLowerCase();
+  return REASON_CATEGORIES.some((c) => c.code === normalized) ? normalized : 'other';
+}
+
+// -------------------------------------------------------------------
+// Keyword rules (mute/allow pre-filter)
+//
+// The user's own deterministic rules, checked before the cache and the
+// model. One rule per line: `mute: <term>` or `allow: <term>`, where the
+// term is matched case-insensitively as a whole word or phrase, or is a
+// /regex/flags. Mute rules win over allow rules, so a tweet matching
+// both stays hidden. Matched tweets never reach the model.
+// -------------------------------------------------------------------
+const KEYWORD_RULE_ACTIONS = { mute: 'block', allow: 'allow' };
+const MAX_KEYWORD_RULES = 200;
+
+// Returns { action, source, regex } or throws with a message for the popup
+function parseKeywordRule(line) {
+  const source = line.trim();
+  const match = /^(mute|allow)\s*:\s*(.+)$/i.exec(source);
+  if (!match) throw new Error(`"${source}" must start with "mute:" or "allow:"`);
+
+  const action = match[1].toLowerCase();
+  const term = match[2].trim();
+  const literal = /^\/(.+)\/([a-z]*)$/.exec(term);
+  let regex;
+  try {
+    if (literal) {
+      // Always case-insensitive; stateful flags would break .test()
+      const flags = literal[2].replace(/[gy]/g, '');
+      regex = new RegExp(literal[1], flags.includes('i') ? flags : flags + 'i');
+    } else {
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      regex = new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'iu');
+    }
+  } catch (e) {
+    throw new Error(`"${source}" is not a valid regular expression`);
+  }
+  return { action, source: `${action}: ${term}`, regex };
+}
+
+// Stored rules were validated when saved; anything unparseable is skipped
+function compileKeywordRules(lines) {
+  const rules = [];
+  for (const line of lines || []) {
+    try {
+      rules.push(parseKeywordRule(line));
+    } catch (e) { /* skip */ }
   }
-  return { verdict: 'block', reason: serverVerdict.reason || 'filtered' };
+  // Mute rules are checked first
+  return rules.sort((a, b) => (a.action === b.action ? 0 : a.action === 'mute' ? -1 : 1));
+}
+
+// Rules see only the tweet's own words and any quoted tweet (`body`),
+// so a term can't match the author's handle or a link preview
+function matchKeywordRules(tweet, rules) {
+  const text = tweet.text || '';
+  const body = typeof tweet.body === 'string' ? tweet.body : text;
+  const rule = rules.find((r) => r.regex.test(body));
+  if (!rule) return null;
+  return {
+    id: tweet.id,
+    verdict: KEYWORD_RULE_ACTIONS[rule.action],
+    reason: `matched rule "${rule.source}"`,
+    hash: contentHash(text + (tweet.imageUrls || []).join(',')),
+    rule: rule.source,
+  };
+}
+
+// -------------------------------------------------------------------
+// Author lists
+//
+// settings.authorLists maps a lower-case handle to how its tweets are
+// treated, overriding the classifier:
+//   trusted — always shown, never sent to the model
+//   soften  — classified as usual, but distilled instead of filtered
+//   blocked — always filtered, never sent to the model
+// content.js sends each tweet's handle as `author`.
+// -------------------------------------------------------------------
+const AUTHOR_LEVELS = ['trusted', 'soften', 'blocked'];
+
+function normalizeHandle(handle) {
+  const h = String(handle || '').trim().replace(/^@/, '').toLowerCase();
+  return /^[a-z0-9_]{1,15}$/.test(h) ? h : null;
+}
+
+// Verdict for a tweet the author lists decide outright, or null
+function matchAuthorList(tweet, authorLists) {
+  const handle = normalizeHandle(tweet.author);
+  const level = handle ? authorLists[handle] : null;
+  if (level !== 'trusted' && level !== 'blocked') return null;
+  return {
+    id: tweet.id,
+    verdict: level === 'trusted' ? 'allow' : 'block',
+    reason: `${level} author @${handle}`,
+    hash: contentHash(tweet.text + (tweet.imageUrls || []).join(',')),
+    rule: `${level} @${handle}`,
+  };
 }
 
-async function normalizeAndCacheVerdicts(tweets, rawVerdicts) {
+// Turns a filter verdict for a softened author's tweet into a distill.
+// Their tweets are sent marked "always distill", so the model's rewrite
+// is normally there; if it isn't, the filter reason stands in for the
+// text rather than the tweet showing in full.
+function softenVerdict(v, handle) {
+  if (v.verdict !== 'block') return v;
+  return {
+    ...v,
+    verdict: 'distill',
+    distilled: v.distilled || `[Hidden by X-Shield: ${v.reason || 'filtered'}]`,
+    reason: `never filtered for @${handle} (was: ${v.reason})`,
+    rule: `soften @${handle}`,
+  };
+}
+
+// -------------------------------------------------------------------
+// Offline heuristic classifier (opt-in degraded mode)
+//
+// Stands in for the model when the server or API can't be reached.
+// It can only show or filter, and leans towards filtering: any red flag
+// hides the tweet. Its verdicts are marked provisional and never cached,
+// so content.js re-classifies them once the real backend is back.
+// -------------------------------------------------------------------
+const OFFLINE_PATTERNS = [
+  { name: 'engagement bait', pattern: /\b(like|retweet|rt|repost|share|follow|comment|reply|tag)\b[^.!?\n]{0,40}\b(if you|if u|who agrees|to win|for a chance|a friend who)\b/i },
+  { name: 'engagement farming', pattern: /\b(who else|ratio|unpopular opinion|agree\?|thoughts\?|drop (a|your)|say less|let that sink in)\b/i },
+  { name: 'giveaway or scam', pattern: /\b(giveaway|airdrop|free (crypto|nft|btc|eth|money)|dm me|link in (my )?bio|guaranteed (returns|profit)|100x|send \d+ (eth|btc|sol))\b/i },
+  { name: 'outrage framing', pattern: /\b(disgusting|pathetic|destroy(s|ed)|slams|wrecks|owned|melts? down|losing (it|their minds)|absolutely unhinged|you won'?t believe)\b/i },
+  { name: 'hashtag spam', pattern: /(#\w+[\s\S]*){5,}/ },
+];
+const OFFLINE_CAPS_RATIO = 0.6;        // share of letters in upper case
+const OFFLINE_CAPS_MIN_LETTERS = 20;
+const OFFLINE_EMOJI_RATIO = 0.3;       // emoji per word
+const OFFLINE_EMOJI_MIN = 3;
+
+function classifyOffline(tweet) {
+  const text = tweet.text || '';
+  const hash = contentHash(text + (tweet.imageUrls || []).join(','));
+  const result = (verdict, reason) => ({ id: tweet.id, verdict, reason: `offline rules: ${reason}`, hash, provisional: true });
+
+  // Nothing the rules can judge (e.g. image-only) — fail closed
+  if (!text.trim()) return result('block', 'no text to check');
+
+  const signals = OFFLINE_PATTERNS.filter((rule) => rule.pattern.test(text)).map((rule) => rule.name);
+
+  const letters = text.match(/\p{L}/gu) || [];
+  const upper = text.match(/\p{Lu}/gu) || [];
+  if (letters.length >= OFFLINE_CAPS_MIN_LETTERS && upper.length / letters.length > OFFLINE_CAPS_RATIO) {
+    signals.push('mostly ALL CAPS');
+  }
+
+  const emoji = text.match(/\p{Extended_Pictographic}/gu) || [];
+  const words = text.split(/\s+/).filter(Boolean).length;
+  if (emoji.length >= OFFLINE_EMOJI_MIN && emoji.length / Math.max(words, 1) > OFFLINE_EMOJI_RATIO) {
+    signals.push('emoji-heavy');
+  }
+
+  return signals.length > 0 ? result('block', signals.join(', ')) : result('allow', 'no red flags');
+}
+
+// Verdicts depend on the prompt modules and personal rules in use, so a
+// non-default prompt (see classificationPromptKey) gets its own entries,
+// and so does each model.
+// A reply is judged with the tweet it answers (`tweet.context`), so the
+// same words under another tweet get their own entry too, and so do
+// softened authors' tweets, which are asked for a rewrite.
+function verdictCacheKey(tweet, hash, promptKey, model) {
+  let key = tweet.context ? `${hash}~${contentHash(tweet.context)}` : hash;
+  if (tweet.distill) key += '~distill';
+  if (model) key = `${model}/${key}`;
+  return promptKey ? `${promptKey}:${key}` : key;
+}
+
+// `promptVersion` is the prompt build that produced the verdict; it is
+// kept with the cache entry and the log entry. `model` is the one that
+// produced it.
+async function normalizeAndCacheVerdict(tweet, serverVerdict, promptVersion, promptKey, model) {
+  const hash = contentHash(tweet.text + (tweet.imageUrls || []).join(','));
+  const { verdict, reason, distilled, confidence, category, lowEffort } = normalizeVerdict(serverVerdict);
+
+  await setCacheEntry(verdictCacheKey(tweet, hash, promptKey, model),
+    { verdict, reason, distilled, confidence, category, lowEffort, promptVersion });
+
+  const entry = { id: tweet.id, verdict, reason, hash, confidence, category };
+  if (distilled) entry.distilled = distilled;
+  if (lowEffort) entry.lowEffort = true;
+  if (tweet.context) entry.contextual = true;
+  if (promptVersion) entry.promptVersion = promptVersion;
+  return entry;
+}
+
+async function normalizeAndCacheVerdicts(tweets, rawVerdicts, promptVersion, promptKey, model) {
   const results = [];
   for (let i = 0; i < tweets.length; i++) {
-    const tweet = tweets[i];
-    const hash = contentHash(tweet.text + (tweet.imageUrls || []).join(','));
     const serverVerdict = rawVerdicts.find((v) => v.id === `tweet_${i}`);
-    const { verdict, reason, distilled } = normalizeVerdict(serverVerdict);
-
-    await setCacheEntry(hash, verdict, reason, distilled);
-
-    const entry = { id: tweet.id, verdict, reason, hash };
-    if (distilled) entry.distilled = distilled;
-    results.push(entry);
+    results.push(await normalizeAndCacheVerdict(tweets[i], serverVerdict, promptVersion, promptKey, model));
   }
   return results;
 }
 
 // -------------------------------------------------------------------
 // Shared retry logic for fetch requests
+//
+// A busy response (429/503/529) pauses every classifier request, not
+// just the one that got it, until its Retry-After has passed — retrying
+// straight away would only add to the queue that turned us away.
 // -------------------------------------------------------------------
+let backoffUntil = 0;
+
+function noteBackoff(retryAfterSeconds) {
+  const seconds = Number(retryAfterSeconds);
+  const delay = Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : DEFAULT_BACKOFF_MS;
+  backoffUntil = Math.max(backoffUntil, Date.now() + Math.min(delay, MAX_BACKOFF_MS));
+  console.warn(`[X-Shield] Classifier busy, backing off for ${Math.round((backoffUntil - Date.now()) / 1000)}s`);
+}
+
+async function waitForBackoff() {
+  const wait = backoffUntil - Date.now();
+  if (wait > 0) await new Promise(r => setTimeout(r, wait));
+}
+
 async function fetchWithRetry(url, options, label) {
   for (let attempt = 1; attempt <= MAX_RETRY_ATTEMPTS; attempt++) {
+    await waitForBackoff();
+
     let response;
     try {
       response = await fetch(url, options);
@@ -321,11 +724,14 @@ async function fetchWithRetry(url, options, label) {
       let errorBody = '';
       try { errorBody = await response.text(); } catch (e) { /* ignore */ }
       console.error(`[X-Shield] ${label} returned status`, response.status, errorBody);
+      const busy = BUSY_STATUSES.includes(response.status);
+      if (busy) noteBackoff(response.headers.get('Retry-After'));
       if (attempt < MAX_RETRY_ATTEMPTS) {
-        await new Promise(r => setTimeout(r, RETRY_DELAY_MS));
+        // A busy response already waits out its backoff at the top of the loop
+        if (!busy) await new Promise(r => setTimeout(r, RETRY_DELAY_MS));
         continue;
       }
-      return { error: `${label} error: ${response.status}` };
+      return { error: busy ? `${label} busy: ${response.status}` : `${label} error: ${response.status}` };
     }
 
     let body;
@@ -345,82 +751,271 @@ async function fetchWithRetry(url, options, label) {
 }
 
 // -------------------------------------------------------------------
-// Claude API classification
+// Streaming fetch — reads an NDJSON response line by line. Retries
+// only while nothing has been received; once lines start arriving a
+// failure is returned to the caller, which fails closed for whatever
+// is still missing.
 // -------------------------------------------------------------------
-async function classifyBatch(tweets) {
-  console.log(`[X-Shield] Classifying batch of ${tweets.length} tweets`);
-  const payload = tweets.map((t) => ({ id: t.id, text: t.text, url: t.url || '' }));
+// `onResponse` sees the response (and its headers) before any line
+async function fetchNdjsonWithRetry(url, options, label, onResponse, onLine) {
+  for (let attempt = 1; attempt <= MAX_RETRY_ATTEMPTS; attempt++) {
+    await waitForBackoff();
 
-  const result = await fetchWithRetry(
-    `${LOCAL_SERVER}/classify`,
-    { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) },
-    'Server'
-  );
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (e) {
+      console.error(`[X-Shield] ${label} request failed (attempt ${attempt}/${MAX_RETRY_ATTEMPTS}):`, e);
+      if (attempt < MAX_RETRY_ATTEMPTS) {
+        await new Promise(r => setTimeout(r, RETRY_DELAY_MS));
+        continue;
+      }
+      return { error: `${label} request failed` };
+    }
+
+    if (!response.ok || !response.body) {
+      let errorBody = '';
+      try { errorBody = await response.text(); } catch (e) { /* ignore */ }
+      console.error(`[X-Shield] ${label} returned status`, response.status, errorBody);
+      const busy = BUSY_STATUSES.includes(response.status);
+      if (busy) noteBackoff(response.headers.get('Retry-After'));
+      if (attempt < MAX_RETRY_ATTEMPTS) {
+        // A busy response already waits out its backoff at the top of the loop
+        if (!busy) await new Promise(r => setTimeout(r, RETRY_DELAY_MS));
+        continue;
+      }
+      return { error: busy ? `${label} busy: ${response.status}` : `${label} error: ${response.status}` };
+    }
 
-  if (result.error) return filterAllVerdicts(tweets, result.error);
+    if (onResponse) onResponse(response);
 
-  const verdicts = result.body.verdicts;
-  if (!Array.isArray(verdicts)) {
-    console.error('[X-Shield] Verdicts is not an array:', verdicts);
-    return filterAllVerdicts(tweets, 'malformed verdict structure');
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let pending = '';
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        pending += decoder.decode(value, { stream: true });
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        for (const line of lines) {
+          if (line.trim()) await onLine(JSON.parse(line));
+        }
+      }
+      if (pending.trim()) await onLine(JSON.parse(pending));
+    } catch (e) {
+      console.error(`[X-Shield] ${label} stream interrupted:`, e);
+      return { error: `${label} stream interrupted` };
+    }
+
+    return {};
   }
+}
 
-  return normalizeAndCacheVerdicts(tweets, verdicts);
+// -------------------------------------------------------------------
+// Claude Code classification (local server, streamed)
+//
+// `onVerdict` receives each normalized verdict as soon as the server
+// streams it. The resolved array covers every tweet in the batch:
+// tweets the stream never reached fail closed. The user's category
+// toggles and personal rules come from `settings`; the server builds its
+// prompt from them.
+// -------------------------------------------------------------------
+// `model` is a claude CLI alias, or '' for the server's default
+async function classifyBatch(tweets, onVerdict, clientId, settings, model) {
+  console.log(`[X-Shield] Classifying batch of ${tweets.length} tweets${model ? ` (${model})` : ''}`);
+  const payload = {
+    tweets: tweets.map((t) => ({
+      id: t.id, text: t.text, url: t.url || '', imageUrls: t.imageUrls || [], context: t.context || '',
+      distill: !!t.distill,
+    })),
+    promptModules: settings.promptModules || {},
+    personalRules: normalizePersonalRules(settings.personalRules),
+    model: model || null,
+  };
+  const promptKey = classificationPromptKey(settings.promptModules, settings.personalRules);
+
+  const streamed = new Map();   // batch index -> normalized verdict
+  let finalVerdicts = null;
+  let streamError = null;
+
+  // Lets the server queue requests fairly across tabs
+  const headers = await getServerHeaders();
+  if (clientId) headers['X-Shield-Client'] = clientId;
+
+  const result = await fetchNdjsonWithRetry(
+    `${await getLocalServerUrl()}/classify/stream`,
+    { method: 'POST', headers, body: JSON.stringify(payload) },
+    'Server',
+    (response) => {
+      serverPromptVersion = response.headers.get('X-Shield-Prompt-Version') || serverPromptVersion;
+    },
+    async (line) => {
+      if (line.error) {
+        streamError = line.error;
+        if (line.retryAfter) noteBackoff(line.retryAfter);
+      } else if (line.done) {
+        finalVerdicts = line.verdicts;
+      } else if (line.verdict) {
+        const match = /^tweet_(\d+)$/.exec(line.verdict.id || '');
+        const index = match ? Number(match[1]) : -1;
+        if (index < 0 || index >= tweets.length || streamed.has(index)) return;
+        if (verdictError(line.verdict, tweets.length)) return;
+        const entry = await normalizeAndCacheVerdict(tweets[index], line.verdict, serverPromptVersion, promptKey, model);
+        streamed.set(index, entry);
+        if (onVerdict) onVerdict(entry);
+      }
+    }
+  );
+
+  if (Array.isArray(finalVerdicts)) {
+    return normalizeAndCacheVerdicts(tweets, finalVerdicts, serverPromptVersion, promptKey, model);
+  }
+
+  const error = result.error || streamError || 'malformed verdict structure';
+  if (streamed.size === 0) return filterAllVerdicts(tweets, error);
+
+  // Keep what already streamed in; fail closed for the rest
+  return tweets.map((t, i) => streamed.get(i) || filterAllVerdicts([t], error)[0]);
 }
 
 // -------------------------------------------------------------------
 // Direct Anthropic API classification (api mode)
 // -------------------------------------------------------------------
-async function classifyBatchAPI(tweets, apiKey) {
-  console.log(`[X-Shield] Classifying batch of ${tweets.length} tweets via Anthropic API`);
-
-  const userPrompt = tweets.map((t, i) =>
-    `[tweet_${i}]\n${t.text || '[no text]'}`
-  ).join('\n\n');
-
-  const result = await fetchWithRetry(
-    'https://api.anthropic.com/v1/messages',
-    {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true',
+async function classifyBatchAPI(tweets, apiKey, settings, model = API_MODEL) {
+  console.log(`[X-Shield] Classifying batch of ${tweets.length} tweets via Anthropic API (${model})`);
+  const promptKey = classificationPromptKey(settings.promptModules, settings.personalRules);
+
+  // The prompt modules, then any personal rules, each a cache breakpoint:
+  // every call after the first in the cache's five minutes reads the
+  // ~20KB prompt (and the record_verdicts tool before it) at a tenth of
+  // the input price
+  const system = [{
+    type: 'text',
+    text: buildClassificationPrompt(settings.promptModules),
+    cache_control: { type: 'ephemeral' },
+  }];
+  const rulesPrompt = personalRulesPrompt(settings.personalRules);
+  if (rulesPrompt) system.push({ type: 'text', text: rulesPrompt, cache_control: { type: 'ephemeral' } });
+
+  // Backend failures reject; unusable output resolves null so
+  // classifyWithRepair re-asks instead of failing the batch
+  const classifyOnce = async (indices) => {
+    // The tweets being replied to come first, as context sections the
+    // model reads but doesn't classify
+    const contexts = new Map();   // context text -> context_N
+    for (const index of indices) {
+      const context = tweets[index].context;
+      if (context && !contexts.has(context)) contexts.set(context, `context_${contexts.size}`);
+    }
+    const content = [];
+    for (const [context, label] of contexts) {
+      content.push({ type: 'text', text: `[${label}] (context only — do not classify)\n${context}` });
+    }
+
+    // Then each tweet's text and images (fetched by the API from X's
+    // media host)
+    indices.forEach((index, i) => {
+      const context = tweets[index].context;
+      const notes = [];
+      if (context) notes.push(`reply to ${contexts.get(context)}`);
+      if (tweets[index].distill) notes.push('always distill');
+      const header = `[tweet_${i}]${notes.length ? ` (${notes.join('; ')})` : ''}`;
+      content.push({ type: 'text', text: `${header}\n${tweets[index].text || '[no text]'}` });
+      for (const url of tweets[index].imageUrls || []) {
+        content.push({ type: 'image', source: { type: 'url', url } });
+      }
+    });
+
+    const result = await fetchWithRetry(
+      'https://api.anthropic.com/v1/messages',
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true',
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: 4096,
+          system,
+          messages: [{ role: 'user', content }],
+          // Forcing the tool call means verdicts arrive as parsed tool
+          // input rather than free text
+          tools: [VERDICTS_TOOL],
+          tool_choice: { type: 'tool', name: VERDICTS_TOOL.name },
+        }),
       },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4096,
-        system: CLASSIFICATION_SYSTEM_PROMPT,
-        messages: [{ role: 'user', content: userPrompt }],
-      }),
-    },
-    'API'
-  );
+      'API'
+    );
 
-  if (result.error) return filterAllVerdicts(tweets, result.error);
+    if (result.error) throw new Error(result.error);
+    await recordTokenUsage(model, result.body.usage, settings);
 
-  let rawText = '';
-  if (result.body.content && Array.isArray(result.body.content)) {
-    rawText = result.body.content.map((block) => block.text || '').join('');
-  }
+    const blocks = Array.isArray(result.body.content) ? result.body.content : [];
+    const call = blocks.find((block) => block.type === 'tool_use' && block.name === VERDICTS_TOOL.name);
+    const verdicts = call ? unwrapVerdicts(call.input) : null;
+    if (!verdicts) {
+      console.error('[X-Shield] API response has no record_verdicts call:', result.body.stop_reason, blocks);
+    }
+    return verdicts;
+  };
 
-  rawText = rawText.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '').trim();
+  const onRepair = (indices, errors) => {
+    console.warn(`[X-Shield] Re-asking API for ${indices.length} invalid verdicts:`, [...new Set(errors)].join('; '));
+  };
 
   let verdicts;
   try {
-    verdicts = JSON.parse(rawText);
+    verdicts = await classifyWithRepair(tweets.length, classifyOnce, onRepair);
   } catch (e) {
-    console.error('[X-Shield] Failed to parse verdicts from API response:', e, rawText);
-    return filterAllVerdicts(tweets, 'malformed verdict JSON from API');
+    return filterAllVerdicts(tweets, e.message);
   }
 
-  if (!Array.isArray(verdicts)) {
-    console.error('[X-Shield] Verdicts is not an array:', verdicts);
-    return filterAllVerdicts(tweets, 'malformed verdict structure from API');
-  }
+  // Tweets still without a valid verdict fail closed in normalizeVerdict
+  const valid = [];
+  verdicts.forEach((v, i) => {
+    if (v) valid.push({ ...v, id: `tweet_${i}` });
+  });
+  return normalizeAndCacheVerdicts(tweets, valid, CLASSIFICATION_PROMPT_VERSION, promptKey, model);
+}
+
+// -------------------------------------------------------------------
+// Model selection and cascade
+//
+// With the cascade on, the mode's fast model classifies first and only
+// the verdicts it isn't sure of (a distill, or confidence below
+// LOW_CONFIDENCE) are asked again of the selected model. Confident
+// first-pass verdicts stream straight to the tab; an escalated tweet
+// keeps its first-pass verdict if the second call fails.
+// -------------------------------------------------------------------
+function getModel(settings, mode) {
+  const model = settings.models && settings.models[mode];
+  return MODEL_CHOICES[mode].includes(model) ? model : MODEL_CHOICES[mode][0];
+}
+
+function needsEscalation(entry) {
+  if (entry.unavailable) return false;
+  return entry.verdict === 'distill' || entry.confidence == null || entry.confidence < LOW_CONFIDENCE;
+}
+
+// `classifyWith(tweets, model, onVerdict)` runs one backend call.
+// Resolves with the merged verdicts and the number escalated.
+async function classifyCascade(tweets, classifyWith, fastModel, model, onVerdict) {
+  const first = await classifyWith(tweets, fastModel, (entry) => {
+    if (!needsEscalation(entry)) onVerdict(entry);
+  });
 
-  return normalizeAndCacheVerdicts(tweets, verdicts);
+  const unsure = new Set(first.filter(needsEscalation).map((v) => v.id));
+  if (unsure.size === 0) return { results: first, escalated: 0 };
+
+  console.log(`[X-Shield] Escalating ${unsure.size} of ${tweets.length} tweets to ${model || 'the default model'}`);
+  const second = await classifyWith(tweets.filter((t) => unsure.has(t.id)), model, onVerdict);
+  const byId = new Map(second.filter((v) => !v.unavailable).map((v) => [v.id, v]));
+  return { results: first.map((v) => byId.get(v.id) || v), escalated: unsure.size };
 }
 
 // -------------------------------------------------------------------
@@ -458,6 +1053,14 @@ function countVerdicts(verdicts) {
   return { filtered, shown, nourished, distilled };
 }
 
+function countCategories(verdicts) {
+  const counts = {};
+  for (const v of verdicts) {
+    if (v.category) counts[v.category] = (counts[v.category] || 0) + 1;
+  }
+  return counts;
+}
+
 // -------------------------------------------------------------------
 // Per-type message handlers
 // -------------------------------------------------------------------
@@ -473,11 +1076,20 @@ async function handleCheckApiKey() {
     const { apiKey } = await chrome.storage.local.get('apiKey');
     return { hasKey: !!(apiKey && apiKey.trim()), mode: 'api' };
   }
+  // With the offline fallback on, an unreachable server degrades to
+  // provisional rule-based verdicts instead of blocking the feed
+  const unavailable = settings.offlineFallbackEnabled
+    ? { hasKey: true, mode: 'local', offline: true }
+    : { hasKey: false, mode: 'local' };
   try {
-    const healthCheck = await fetch(`${LOCAL_SERVER}/health`);
-    return { hasKey: healthCheck.ok, mode: 'local' };
+    const healthCheck = await fetch(`${await getLocalServerUrl()}/health`, { headers: await getServerHeaders() });
+    if (!healthCheck.ok) return unavailable;
+    const health = await healthCheck.json();
+    if (health.promptVersion) serverPromptVersion = health.promptVersion;
+    if (health.paired !== true) return { hasKey: false, mode: 'local', reason: 'unpaired' };
+    return { hasKey: true, mode: 'local' };
   } catch (e) {
-    return { hasKey: false, mode: 'local' };
+    return unavailable;
   }
 }
 
@@ -512,46 +1124,149 @@ async function handleHeartbeat() {
   });
 }
 
-async function handleClassifyBatch(message) {
+async function handleClassifyBatch(message, sender) {
   const tweets = message.tweets;
   if (!tweets || !Array.isArray(tweets) || tweets.length === 0) {
     return { verdicts: [] };
   }
 
+  const settings = await getSettings();
+  const classifyMode = settings.classificationMode || 'local';
+
+  // Author lists, then keyword rules, decide first — without a cache
+  // lookup or model call
+  const authorLists = settings.authorLists || {};
+  const keywordRules = compileKeywordRules(settings.keywordRules);
+  const authorResults = [];
+  const ruleResults = [];
+  const unmatched = [];
+  for (const tweet of tweets) {
+    const byAuthor = matchAuthorList(tweet, authorLists);
+    const matched = !byAuthor && keywordRules.length > 0 ? matchKeywordRules(tweet, keywordRules) : null;
+    if (byAuthor) authorResults.push(byAuthor);
+    else if (matched) ruleResults.push(matched);
+    else unmatched.push(tweet);
+  }
+
+  // Softened authors' tweets are classified, but never filtered: the
+  // model is asked for a rewrite of each, shown in place of a filter
+  const softened = new Map();   // tweet id -> handle
+  for (const tweet of unmatched) {
+    const handle = normalizeHandle(tweet.author);
+    if (handle && authorLists[handle] === 'soften') {
+      softened.set(tweet.id, handle);
+      tweet.distill = true;
+    }
+  }
+  const applySoften = (v) => (softened.has(v.id) ? softenVerdict(v, softened.get(v.id)) : v);
+  // Strictness is left to content.js, which applies it on display; it
+  // is applied here only for the stats and the log
+  const strictness = STRICTNESS_LEVELS.includes(settings.strictness) ? settings.strictness : 'balanced';
+
+  // Verdicts from a different prompt build than the one that would
+  // classify now are stale. The server's build is only known once it
+  // has answered; until then cached verdicts are trusted.
+  const activePromptVersion = classifyMode === 'api' ? CLASSIFICATION_PROMPT_VERSION : serverPromptVersion;
+  const promptKey = classificationPromptKey(settings.promptModules, settings.personalRules);
+
+  // Checked on every API mode batch, so the tab's budget overlay also
+  // stays up while only cached tweets come by
+  const budget = classifyMode === 'api'
+    ? getBudgetState(settings.budget, await getApiSpend())
+    : { state: 'ok', period: null };
+  const budgetExceeded = budget.state === 'exceeded' ? budget.period : null;
+
+  const { apiKey } = await chrome.storage.local.get('apiKey');
+  const useApi = classifyMode === 'api' && apiKey && apiKey.trim();
+  const mode = useApi ? 'api' : 'local';
+
+  // Near the budget everything goes to the cheaper model instead, or
+  // with nearLimit 'cache' nothing is classified at all
+  const cacheOnly = budget.state === 'near' && settings.budget.nearLimit === 'cache';
+  const nearBudget = useApi && budget.state === 'near' && !cacheOnly;
+  const model = nearBudget ? BUDGET_MODEL : getModel(settings, mode);
+  const fastModel = settings.cascadeEnabled && !nearBudget ? CASCADE_MODELS[mode] : null;
+  const cascading = fastModel && fastModel !== model;
+
   const uncached = [];
   const cachedResults = [];
 
-  for (const tweet of tweets) {
+  // Verdicts are cached per model, so another model re-classifies. With
+  // the cascade on, a first-pass verdict it wouldn't escalate is the
+  // cascade's answer as well.
+  for (const tweet of unmatched) {
     const hash = contentHash(tweet.text + (tweet.imageUrls || []).join(','));
-    const cached = await getCacheEntry(hash);
-    if (cached) {
+    let cached = await getCacheEntry(verdictCacheKey(tweet, hash, promptKey, model));
+    if (!cached && cascading) {
+      const first = await getCacheEntry(verdictCacheKey(tweet, hash, promptKey, fastModel));
+      if (first && !needsEscalation(first)) cached = first;
+    }
+    const stale = cached && cached.promptVersion && activePromptVersion &&
+      cached.promptVersion !== activePromptVersion;
+    if (cached && !stale) {
       const entry = { id: tweet.id, verdict: cached.verdict, reason: cached.reason, hash };
+      entry.confidence = typeof cached.confidence === 'number' ? cached.confidence : null;
+      entry.category = cached.category || null;
       if (cached.distilled) entry.distilled = cached.distilled;
+      if (cached.lowEffort) entry.lowEffort = true;
+      if (cached.promptVersion) entry.promptVersion = cached.promptVersion;
+      if (tweet.context) entry.contextual = true;
       cachedResults.push(entry);
     } else {
       uncached.push(tweet);
     }
   }
 
-  const settings = await getSettings();
+  // Partial results go straight to the requesting tab so the first
+  // verdicts render before the rest of the batch is done
+  const sendPartial = (verdicts) => {
+    if (!sender || !sender.tab || !message.batchId || verdicts.length === 0) return;
+    chrome.tabs.sendMessage(sender.tab.id, {
+      type: 'CLASSIFY_PARTIAL', batchId: message.batchId, verdicts: verdicts.map(applySoften), strictness,
+    }).catch(() => { /* tab may have navigated away */ });
+  };
 
   let apiResults = [];
   if (uncached.length > 0) {
-    const { apiKey } = await chrome.storage.local.get('apiKey');
-    const classifyMode = settings.classificationMode || 'local';
-    if (classifyMode === 'api' && apiKey && apiKey.trim()) {
-      apiResults = await classifyBatchAPI(uncached, apiKey.trim());
+    sendPartial([...authorResults, ...ruleResults, ...cachedResults]);
+    if (useApi && (budget.state === 'exceeded' || cacheOnly)) {
+      // Not `unavailable`: the offline rules don't stand in for a
+      // spending cap
+      const reason = budget.state === 'exceeded'
+        ? `${budget.period} API budget reached — fail closed`
+        : `near the ${budget.period} API budget — cached verdicts only`;
+      apiResults = uncached.map((t) => ({ id: t.id, verdict: 'block', reason }));
     } else {
-      apiResults = await classifyBatch(uncached);
+      const clientId = sender && sender.tab ? `tab-${sender.tab.id}` : 'background';
+      const classifyWith = useApi
+        ? (batch, model) => classifyBatchAPI(batch, apiKey.trim(), settings, model)
+        : (batch, model, onVerdict) => classifyBatch(batch, onVerdict, clientId, settings, model);
+
+      if (cascading) {
+        const cascade = await classifyCascade(uncached, classifyWith, fastModel, model, (entry) => sendPartial([entry]));
+        apiResults = cascade.results;
+        await updateCascadeStats(uncached.length, cascade.escalated);
+      } else {
+        apiResults = await classifyWith(uncached, model, (entry) => sendPartial([entry]));
+      }
     }
   }
 
-  const allVerdicts = [...cachedResults, ...apiResults];
+  // Degraded mode: tweets the backend never saw get a provisional
+  // verdict from the offline rules instead of staying hidden
+  if (settings.offlineFallbackEnabled && apiResults.some((v) => v.unavailable)) {
+    const uncachedById = new Map(uncached.map((t) => [t.id, t]));
+    apiResults = apiResults.map((v) => (v.unavailable ? classifyOffline(uncachedById.get(v.id)) : v));
+    console.warn('[X-Shield] Classifier unavailable — using offline rules for this batch');
+  }
+
+  const results = [...authorResults, ...ruleResults, ...cachedResults, ...apiResults].map(applySoften);
+  const allVerdicts = results.map((v) => applyStrictness(v, strictness));
 
   // Push classification entries to the log buffer (if logging enabled)
   if (settings.loggingEnabled) {
     const tweetMap = new Map(tweets.map(t => [t.id, t]));
-    const cachedSet = new Set(cachedResults);
+    const cachedIds = new Set(cachedResults.map((v) => v.id));
     for (const v of allVerdicts) {
       const tweet = tweetMap.get(v.id);
       logBuffer.push({
@@ -562,20 +1277,29 @@ async function handleClassifyBatch(message) {
         verdict: v.verdict,
         reason: v.reason || '',
         distilled: v.distilled || null,
-        cached: cachedSet.has(v),
+        confidence: typeof v.confidence === 'number' ? v.confidence : null,
+        category: v.category || null,
+        cached: cachedIds.has(v.id),
+        provisional: !!v.provisional,
+        rule: v.rule || null,
+        promptVersion: v.promptVersion || null,
       });
     }
   }
 
   const stats = countVerdicts(allVerdicts);
-  await updateDailyStats(stats.filtered, stats.shown, stats.nourished, stats.distilled);
+  const provisional = allVerdicts.filter((v) => v.provisional).length;
+  const ruleMuted = ruleResults.filter((v) => v.verdict === 'block').length;
+  await updateDailyStats(stats.filtered, stats.shown, stats.nourished, stats.distilled, provisional,
+    ruleMuted, ruleResults.length - ruleMuted, countCategories(allVerdicts));
 
   const feedReorderingEnabled = settings.feedReorderingEnabled !== false;
-  return { verdicts: allVerdicts, feedReorderingEnabled };
+  return { verdicts: results, strictness, feedReorderingEnabled, filteredDisplay: getFilteredDisplay(settings), budgetExceeded };
 }
 
 async function handleGetStats() {
   const stats = await getDailyStats();
+  const { tokenUsage } = await chrome.storage.local.get('tokenUsage');
   const usage = await getDailyUsage();
   const timeLimit = await getTimeLimit();
   const settings = await getSettings();
@@ -584,6 +1308,14 @@ async function handleGetStats() {
   return {
     filtered: stats.filtered, shown: stats.shown, analyzed: stats.analyzed,
     nourished: stats.nourished || 0, distilled: stats.distilled || 0,
+    provisional: stats.provisional || 0,
+    ruleMuted: stats.ruleMuted || 0, ruleAllowed: stats.ruleAllowed || 0,
+    categories: stats.categories || {},
+    cascaded: stats.cascaded || 0, escalated: stats.escalated || 0,
+    revealed: stats.revealed || 0,
+    tokenUsage: (tokenUsage && tokenUsage[todayString()]) || null,
+    budget: settings.budget || null,
+    budgetState: getBudgetState(settings.budget, await getApiSpend()),
     timeUsed: usage.seconds, timeLimit, feedReorderingEnabled,
   };
 }
@@ -591,7 +1323,7 @@ async function handleGetStats() {
 async function handleResetStats() {
   const today = todayString();
   await chrome.storage.local.set({
-    dailyStats: { date: today, filtered: 0, shown: 0, analyzed: 0, nourished: 0, distilled: 0 },
+    dailyStats: { date: today, filtered: 0, shown: 0, analyzed: 0, nourished: 0, distilled: 0, provisional: 0, ruleMuted: 0, ruleAllowed: 0, categories: {}, cascaded: 0, escalated: 0, revealed: 0 },
   });
   return { success: true };
 }
@@ -602,6 +1334,31 @@ async function handleSetApiKey(message) {
   return { success: true };
 }
 
+async function handleSetServerToken(message) {
+  const token = (message.token || '').trim();
+  await chrome.storage.local.set({ serverToken: token });
+  return { success: true };
+}
+
+async function handleSetServerUrl(message) {
+  const raw = (message.url || '').trim() || DEFAULT_LOCAL_SERVER;
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch (e) {
+    return { success: false, error: 'Not a valid URL' };
+  }
+  if (parsed.protocol !== 'http:' || !LOCAL_SERVER_HOSTS.includes(parsed.hostname)) {
+    return { success: false, error: 'Must be http://127.0.0.1:<port> or http://localhost:<port>' };
+  }
+
+  const url = parsed.origin;
+  const settings = await getSettings();
+  settings.serverUrl = url;
+  await chrome.storage.local.set({ settings });
+  return { success: true, url };
+}
+
 async function handleSetMode(message) {
   const newMode = message.mode === 'api' ? 'api' : 'local';
   const settings = await getSettings();
@@ -617,6 +1374,191 @@ async function handleSetMode(message) {
   return { success: true, mode: newMode };
 }
 
+// Caps in USD; 0 or empty turns a cap off. Open x.com tabs are told so
+// a budget overlay can come down once the cap is raised.
+async function handleSetBudget(message) {
+  const cap = (value) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? Math.round(n * 100) / 100 : null;
+  };
+  const budget = {
+    daily: cap(message.daily),
+    monthly: cap(message.monthly),
+    nearLimit: BUDGET_NEAR_LIMIT_MODES.includes(message.nearLimit) ? message.nearLimit : 'model',
+  };
+
+  const settings = await getSettings();
+  settings.budget = budget;
+  await chrome.storage.local.set({ settings });
+
+  const tabs = await chrome.tabs.query({ url: 'https://x.com/*' });
+  for (const tab of tabs) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, { type: 'BUDGET_CHANGED' });
+    } catch (e) { /* content script may not be loaded */ }
+  }
+  return { success: true, budget };
+}
+
+async function handleSetModel(message) {
+  const mode = message.mode === 'api' ? 'api' : 'local';
+  if (!MODEL_CHOICES[mode].includes(message.model)) return { success: false, error: 'Unknown model' };
+
+  const settings = await getSettings();
+  settings.models = { ...settings.models, [mode]: message.model };
+  await chrome.storage.local.set({ settings });
+  return { success: true, mode, model: message.model };
+}
+
+async function handleSetCascade(message) {
+  const settings = await getSettings();
+  settings.cascadeEnabled = !!message.enabled;
+  await chrome.storage.local.set({ settings });
+  return { success: true, enabled: settings.cascadeEnabled };
+}
+
+// How content.js shows filtered tweets: 'hidden' removes them,
+// 'collapsed' leaves a click-to-reveal placeholder with the reason
+const FILTERED_DISPLAY_MODES = ['hidden', 'collapsed'];
+
+function getFilteredDisplay(settings) {
+  return FILTERED_DISPLAY_MODES.includes(settings.filteredDisplay) ? settings.filteredDisplay : 'hidden';
+}
+
+async function handleSetFilteredDisplay(message) {
+  if (!FILTERED_DISPLAY_MODES.includes(message.mode)) return { success: false, error: 'Unknown display mode' };
+
+  const settings = await getSettings();
+  settings.filteredDisplay = message.mode;
+  await chrome.storage.local.set({ settings });
+
+  const tabs = await chrome.tabs.query({ url: 'https://x.com/*' });
+  for (const tab of tabs) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, { type: 'FILTERED_DISPLAY_CHANGED', mode: message.mode });
+    } catch (e) { /* content script may not be loaded */ }
+  }
+  return { success: true, mode: message.mode };
+}
+
+async function handleRecordReveal() {
+  await recordReveal();
+  return { success: true };
+}
+
+async function handleSetOfflineFallback(message) {
+  const settings = await getSettings();
+  settings.offlineFallbackEnabled = !!message.enabled;
+  await chrome.storage.local.set({ settings });
+  return { success: true, enabled: settings.offlineFallbackEnabled };
+}
+
+// The popup saves prompt modules and personal rules to storage itself
+// and then sends this, so open x.com tabs drop the verdicts they cached
+// under the old prompt
+async function handlePromptChanged() {
+  const tabs = await chrome.tabs.query({ url: 'https://x.com/*' });
+  for (const tab of tabs) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, { type: 'PROMPT_CHANGED' });
+    } catch (e) { /* content script may not be loaded */ }
+  }
+  return { success: true };
+}
+
+// Rejects the whole list if any line doesn't parse, so the popup can
+// point at it. Open x.com tabs drop the verdicts they cached, which the
+// old rules may have decided.
+async function handleSetKeywordRules(message) {
+  const lines = (Array.isArray(message.rules) ? message.rules : [])
+    .map((line) => String(line).trim())
+    .filter(Boolean);
+  if (lines.length > MAX_KEYWORD_RULES) {
+    return { success: false, error: `At most ${MAX_KEYWORD_RULES} rules` };
+  }
+
+  let rules;
+  try {
+    rules = lines.map((line) => parseKeywordRule(line).source);
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+
+  const settings = await getSettings();
+  settings.keywordRules = rules;
+  await chrome.storage.local.set({ settings });
+
+  const tabs = await chrome.tabs.query({ url: 'https://x.com/*' });
+  for (const tab of tabs) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, { type: 'KEYWORD_RULES_CHANGED' });
+    } catch (e) { /* content script may not be loaded */ }
+  }
+  return { success: true, rules };
+}
+
+// API usage per day, newest first
+async function handleGetTokenUsage() {
+  const { tokenUsage } = await chrome.storage.local.get('tokenUsage');
+  const days = Object.entries(tokenUsage || {})
+    .map(([date, day]) => ({ date, ...day }))
+    .sort((a, b) => (a.date < b.date ? 1 : -1));
+  return { days };
+}
+
+async function handleGetModelPrices() {
+  return { prices: getModelPrices(await getSettings()) };
+}
+
+// One model per line: `<model> <input price> <output price>`, in USD
+// per million tokens. Replaces the whole table.
+async function handleSetModelPrices(message) {
+  const lines = (Array.isArray(message.prices) ? message.prices : [])
+    .map((line) => String(line).trim())
+    .filter(Boolean);
+
+  const prices = {};
+  for (const line of lines) {
+    const parts = line.split(/\s+/);
+    const input = Number(parts[1]);
+    const output = Number(parts[2]);
+    if (parts.length !== 3 || !(input >= 0) || !(output >= 0)) {
+      return { success: false, error: `Expected "model input output": ${line}` };
+    }
+    prices[parts[0]] = { input, output };
+  }
+
+  const settings = await getSettings();
+  settings.modelPrices = prices;
+  await chrome.storage.local.set({ settings });
+  return { success: true, prices };
+}
+
+// Sets (or with no level, clears) one handle's author list entry and
+// tells open x.com tabs, which drop verdicts they cached under the old
+// lists
+async function handleSetAuthorList(message) {
+  const handle = normalizeHandle(message.handle);
+  if (!handle) return { success: false, error: 'Not a valid @handle' };
+  const level = message.level || null;
+  if (level && !AUTHOR_LEVELS.includes(level)) return { success: false, error: 'Unknown list' };
+
+  const settings = await getSettings();
+  const authorLists = { ...settings.authorLists };
+  if (level) authorLists[handle] = level;
+  else delete authorLists[handle];
+  settings.authorLists = authorLists;
+  await chrome.storage.local.set({ settings });
+
+  const tabs = await chrome.tabs.query({ url: 'https://x.com/*' });
+  for (const tab of tabs) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, { type: 'AUTHOR_LISTS_CHANGED', handle, level });
+    } catch (e) { /* content script may not be loaded */ }
+  }
+  return { success: true, handle, level, authorLists };
+}
+
 // -------------------------------------------------------------------
 // Tweet log message handlers
 // -------------------------------------------------------------------
@@ -698,6 +1640,7 @@ async function handleGetLogHistory(message) {
     for (const entry of allEntries) {
       if (VALID_VERDICTS.includes(entry.verdict)) stats[entry.verdict]++;
     }
+    stats.categories = countCategories(allEntries);
 
     // Filter and paginate
     const filtered = verdictFilter
@@ -708,7 +1651,7 @@ async function handleGetLogHistory(message) {
     return { entries, stats };
   } catch (e) {
     console.error('[X-Shield] GET_LOG_HISTORY error:', e);
-    return { entries: [], stats: { total: 0, nourish: 0, allow: 0, block: 0, distill: 0 } };
+    return { entries: [], stats: { total: 0, nourish: 0, allow: 0, block: 0, distill: 0, categories: {} } };
   }
 }
 
@@ -738,8 +1681,22 @@ const MESSAGE_HANDLERS = {
   GET_STATS: handleGetStats,
   RESET_STATS: handleResetStats,
   SET_API_KEY: handleSetApiKey,
+  SET_SERVER_TOKEN: handleSetServerToken,
+  SET_SERVER_URL: handleSetServerUrl,
   SET_MODE: handleSetMode,
   SET_LOGGING: handleSetLogging,
+  SET_OFFLINE_FALLBACK: handleSetOfflineFallback,
+  SET_KEYWORD_RULES: handleSetKeywordRules,
+  PROMPT_CHANGED: handlePromptChanged,
+  SET_AUTHOR_LIST: handleSetAuthorList,
+  GET_TOKEN_USAGE: handleGetTokenUsage,
+  GET_MODEL_PRICES: handleGetModelPrices,
+  SET_MODEL_PRICES: handleSetModelPrices,
+  SET_BUDGET: handleSetBudget,
+  SET_MODEL: handleSetModel,
+  SET_CASCADE: handleSetCascade,
+  SET_FILTERED_DISPLAY: handleSetFilteredDisplay,
+  RECORD_REVEAL: handleRecordReveal,
   GET_LOG_COUNT: handleGetLogCount,
   EXPORT_LOG: handleExportLog,
   CLEAR_LOG: handleClearLog,
@@ -755,7 +1712,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   (async () => {
     try {
-      const result = await handler(message);
+      const result = await handler(message, sender);
       sendResponse(result);
     } catch (e) {
       console.error(`[X-Shield] ${message.type} handler error:`, e);
@@ -798,7 +1755,7 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
 
     // Reset daily stats
     await chrome.storage.local.set({
-      dailyStats: { date: today, filtered: 0, shown: 0, analyzed: 0, nourished: 0, distilled: 0 },
+      dailyStats: { date: today, filtered: 0, shown: 0, analyzed: 0, nourished: 0, distilled: 0, provisional: 0, ruleMuted: 0, ruleAllowed: 0, categories: {}, cascaded: 0, escalated: 0, revealed: 0 },
     });
 
     console.log('[X-Shield] Daily reset complete');
@@ -830,7 +1787,7 @@ chrome.runtime.onInstalled.addListener(async () => {
 
   if (!existing.dailyStats) {
     await chrome.storage.local.set({
-      dailyStats: { date: today, filtered: 0, shown: 0, analyzed: 0, nourished: 0, distilled: 0 },
+      dailyStats: { date: today, filtered: 0, shown: 0, analyzed: 0, nourished: 0, distilled: 0, provisional: 0, ruleMuted: 0, ruleAllowed: 0, categories: {}, cascaded: 0, escalated: 0, revealed: 0 },
     });
   }
 
@@ -17,19 +17,32 @@
   const BATCH_TIMEOUT_MS = 3000;
   const HEARTBEAT_INTERVAL_MS = 10000;
   const SPA_POLL_INTERVAL_MS = 1000;
+  const PROVISIONAL_RECHECK_MS = 30000;
+  const MEDIA_URL_PREFIX = 'https://pbs.twimg.com/';
+  const MAX_IMAGES_PER_TWEET = 4;
+  const MAX_CONTEXT_CHARS = 2000;
 
   const VERDICT_PRIORITY = { nourish: 0, allow: 1, distill: 2, block: 3, pending: 4 };
   const TWEET_SELECTOR = 'article[data-testid="tweet"]';
   const CELL_SELECTOR = '[data-testid="cellInnerDiv"]';
-  const X_SHIELD_CLASSES = ['x-shield-pending', 'x-shield-approved', 'x-shield-filtered', 'x-shield-distilled', 'x-shield-nourished', 'x-shield-unclassified'];
+  const X_SHIELD_CLASSES = ['x-shield-pending', 'x-shield-approved', 'x-shield-filtered', 'x-shield-distilled', 'x-shield-nourished', 'x-shield-unclassified', 'x-shield-provisional', 'x-shield-low-value', 'x-shield-revealed'];
 
   // ---------------------------------------------------------------
   // State
   // ---------------------------------------------------------------
-  const verdictCache = new Map();       // contentHash -> verdict string
+  const verdictCache = new Map();       // contentHash -> verdict before strictness
   const elementMap = new Map();         // tweetId -> DOM element
   let batchQueue = [];                  // { id, text, element }
   let batchTimer = null;
+  let batchCounter = 0;
+  const inFlightBatches = new Map();    // batchId -> batch context
+  const provisionalTweets = new Map();  // tweetId -> batch item, awaiting a real verdict
+  let provisionalTimer = null;
+  const lowValueReplies = { articles: new Set(), stub: null, expanded: false };
+  let filteredDisplay = 'hidden';       // or 'collapsed', from the background's settings
+  let strictness = 'balanced';          // from the background's settings, see strictness.js
+  const filteredDetails = new WeakMap(); // filtered element -> { reason, category }
+  const placeholders = new WeakMap();    // filtered element -> its placeholder
   let lastUrl = location.href;
   let observer = null;
   let observerPauseDepth = 0;
@@ -83,30 +96,56 @@
     if (msg && msg.type === 'LOCKOUT') {
       redirectToBlocked();
     }
+    if (msg && msg.type === 'CLASSIFY_PARTIAL') {
+      setStrictness(msg.strictness);
+      const ctx = inFlightBatches.get(msg.batchId);
+      if (ctx && Array.isArray(msg.verdicts)) {
+        msg.verdicts.forEach((v) => applyBatchVerdict(ctx, v));
+      }
+    }
+    if (msg && msg.type === 'AUTHOR_LISTS_CHANGED') {
+      applyAuthorListChange(msg.handle, msg.level);
+    }
+    if (msg && (msg.type === 'KEYWORD_RULES_CHANGED' || msg.type === 'PROMPT_CHANGED')) {
+      verdictCache.clear();
+    }
+    if (msg && msg.type === 'BUDGET_CHANGED') {
+      removeBudgetOverlay();
+    }
+    if (msg && msg.type === 'FILTERED_DISPLAY_CHANGED') {
+      setFilteredDisplay(msg.mode);
+    }
     if (msg && msg.type === 'MODE_CHANGED') {
       removeApiKeyOverlay();
       (async () => {
         const resp = await sendMessage({ type: 'CHECK_API_KEY' });
         if (!resp || !resp.hasKey) {
-          showApiKeyOverlay((resp && resp.mode) || 'local');
+          showApiKeyOverlay((resp && resp.mode) || 'local', resp && resp.reason);
         }
       })();
     }
   });
 
+  document.addEventListener('click', closeAuthorMenu);
+
   // ---------------------------------------------------------------
-  // Server unavailable overlay — fail closed, hide all tweets
+  // Server unavailable overlay — fail closed, hide all tweets. It and
+  // the budget overlay each have a modifier class, so one coming or
+  // going leaves the other alone.
   // ---------------------------------------------------------------
-  function showApiKeyOverlay(mode) {
+  function showApiKeyOverlay(mode, reason) {
     // Avoid duplicates
-    if (document.querySelector('.x-shield-overlay')) return;
+    if (document.querySelector('.x-shield-overlay-server')) return;
 
     const overlay = document.createElement('div');
-    overlay.className = 'x-shield-overlay';
+    overlay.className = 'x-shield-overlay x-shield-overlay-server';
 
     if (mode === 'api') {
       overlay.textContent =
         'X-Shield: Set your Anthropic API key in the extension popup to use X.';
+    } else if (reason === 'unpaired') {
+      overlay.textContent =
+        'X-Shield: Paste the pairing token from ~/.x-shield/pairing-token into the extension popup to use X.';
     } else {
       overlay.textContent =
         'X-Shield: Start the local server (node server.js) to use X.';
@@ -118,7 +157,28 @@
   }
 
   function removeApiKeyOverlay() {
-    const overlay = document.querySelector('.x-shield-overlay');
+    const overlay = document.querySelector('.x-shield-overlay-server');
+    if (overlay) overlay.remove();
+  }
+
+  // ---------------------------------------------------------------
+  // Budget overlay — the API spend cap set in the popup is used up, so
+  // new tweets aren't classified (and stay hidden) until the next day
+  // or month, or until the cap is raised
+  // ---------------------------------------------------------------
+  function showBudgetOverlay(period) {
+    if (document.querySelector('.x-shield-overlay-budget')) return;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'x-shield-overlay x-shield-overlay-budget';
+    overlay.textContent = period === 'monthly'
+      ? 'X-Shield: This month\'s API budget is used up. New tweets stay hidden until next month, or raise the budget in the extension popup.'
+      : 'X-Shield: Today\'s API budget is used up. New tweets stay hidden until tomorrow, or raise the budget in the extension popup.';
+    document.body.appendChild(overlay);
+  }
+
+  function removeBudgetOverlay() {
+    const overlay = document.querySelector('.x-shield-overlay-budget');
     if (overlay) overlay.remove();
   }
 
@@ -164,7 +224,27 @@
       if (anchor) url = 'https://x.com' + anchor.getAttribute('href');
     }
 
-    return { text, author, quoteTweetText, linkPreviewText, url };
+    const { imageUrls, altTexts } = extractTweetImages(article);
+
+    return { text, author, quoteTweetText, linkPreviewText, url, imageUrls, altTexts };
+  }
+
+  // Photos and video posters (including a quoted tweet's), from X's media
+  // host only. X labels images without a description "Image", which
+  // isn't worth sending as alt text.
+  function extractTweetImages(article) {
+    const imageUrls = [];
+    const altTexts = [];
+    const add = (src, alt) => {
+      if (!src || !src.startsWith(MEDIA_URL_PREFIX) || imageUrls.includes(src)) return;
+      if (imageUrls.length >= MAX_IMAGES_PER_TWEET) return;
+      imageUrls.push(src);
+      if (alt && alt.trim() && alt.trim() !== 'Image') altTexts.push(alt.trim());
+    };
+
+    article.querySelectorAll('[data-testid="tweetPhoto"] img').forEach((img) => add(img.getAttribute('src'), img.getAttribute('alt')));
+    article.querySelectorAll('video[poster]').forEach((video) => add(video.getAttribute('poster'), video.getAttribute('aria-label')));
+    return { imageUrls, altTexts };
   }
 
   function formatForClassification(parts) {
@@ -172,18 +252,32 @@
     if (parts.author) segments.push('Author: ' + parts.author);
     if (parts.quoteTweetText) segments.push('Quote: ' + parts.quoteTweetText);
     if (parts.linkPreviewText) segments.push('Link: ' + parts.linkPreviewText);
+    for (const alt of parts.altTexts || []) segments.push('Image description: ' + alt);
     return segments.join('\n');
   }
 
+  // `body` is what the user's keyword rules are matched against: the
+  // tweet's own words and any tweet it quotes, without the Author: and
+  // Link: lines the model gets
   function extractTweetContent(article) {
     const parts = extractTweetParts(article);
-    return { text: formatForClassification(parts), url: parts.url };
+    return {
+      text: formatForClassification(parts),
+      body: [parts.text, parts.quoteTweetText].filter(Boolean).join('\n'),
+      url: parts.url,
+      imageUrls: parts.imageUrls,
+    };
+  }
+
+  // Same key background.js uses for its cache and sends back as v.hash
+  function tweetHash(text, imageUrls) {
+    return contentHash(text + imageUrls.join(','));
   }
 
   // ---------------------------------------------------------------
   // Apply verdict to a tweet element
   // ---------------------------------------------------------------
-  function applyVerdict(element, verdict, distilled) {
+  function applyVerdict(element, verdict, distilled, details) {
     element.classList.remove('x-shield-pending');
 
     const VERDICT_TO_CLASS = {
@@ -193,7 +287,10 @@
     };
 
     // Remove all verdict classes first
-    element.classList.remove('x-shield-filtered', 'x-shield-approved', 'x-shield-distilled', 'x-shield-nourished');
+    element.classList.remove('x-shield-filtered', 'x-shield-approved', 'x-shield-distilled', 'x-shield-nourished', 'x-shield-provisional', 'x-shield-revealed');
+    removePlaceholder(element);
+    const provisionalLabel = element.querySelector('.x-shield-provisional-label');
+    if (provisionalLabel) provisionalLabel.remove();
 
     const targetClass = VERDICT_TO_CLASS[verdict];
     if (targetClass) {
@@ -204,9 +301,76 @@
     } else {
       // Fail closed: any unrecognized verdict gets filtered
       element.classList.add('x-shield-filtered');
+      filteredDetails.set(element, details || {});
+      if (filteredDisplay === 'collapsed') addPlaceholder(element);
     }
   }
 
+  // ---------------------------------------------------------------
+  // Collapsed display mode — each filtered tweet leaves a thin
+  // placeholder with the model's category and reason. Clicking it
+  // reveals that one tweet and counts a reveal in the daily stats.
+  // ---------------------------------------------------------------
+  // The placeholder goes first inside the tweet's cell, so it moves and
+  // recycles with the cell in X's virtualised list. A notification
+  // cell is itself the filtered element: it stays laid out, collapsed
+  // to the placeholder (see styles.css).
+  function addPlaceholder(element) {
+    if (placeholders.has(element)) return;
+    const cell = element.matches(CELL_SELECTOR) ? element : getCellWrapper(element);
+    if (!cell) return;
+    const { reason, category } = filteredDetails.get(element) || {};
+    const known = category && REASON_CATEGORIES.find((c) => c.code === category);
+
+    const placeholder = document.createElement('button');
+    placeholder.type = 'button';
+    placeholder.className = 'x-shield-placeholder';
+    if (category) {
+      const label = document.createElement('span');
+      label.className = 'x-shield-placeholder-category';
+      label.textContent = known ? known.label : category;
+      placeholder.append(label, ' · ');
+    }
+    placeholder.append(`Filtered${reason ? `: ${reason}` : ''} — show`);
+    placeholder.title = reason || 'Filtered by X-Shield';
+    placeholder.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      revealFiltered(element);
+    });
+
+    pauseObserver();
+    if (cell === element) element.classList.add('x-shield-collapsed');
+    cell.insertBefore(placeholder, cell.firstChild);
+    resumeObserver();
+    placeholders.set(element, placeholder);
+  }
+
+  function removePlaceholder(element) {
+    const placeholder = placeholders.get(element);
+    if (!placeholder) return;
+    placeholder.remove();
+    placeholders.delete(element);
+    element.classList.remove('x-shield-collapsed');
+  }
+
+  function revealFiltered(element) {
+    removePlaceholder(element);
+    element.classList.remove('x-shield-filtered');
+    element.classList.add('x-shield-revealed');
+    sendMessage({ type: 'RECORD_REVEAL' });
+  }
+
+  function setFilteredDisplay(mode) {
+    mode = mode === 'collapsed' ? 'collapsed' : 'hidden';
+    if (mode === filteredDisplay) return;
+    filteredDisplay = mode;
+    document.querySelectorAll('.x-shield-filtered').forEach((element) => {
+      if (mode === 'collapsed') addPlaceholder(element);
+      else removePlaceholder(element);
+    });
+  }
+
   // ---------------------------------------------------------------
   // Replace tweet text with distilled version
   // ---------------------------------------------------------------
@@ -226,6 +390,46 @@
     }
   }
 
+  // ---------------------------------------------------------------
+  // Provisional verdicts — from the offline rules while the real
+  // classifier is unavailable. Tagged in the UI and sent back through
+  // the batch queue once the backend answers again.
+  // ---------------------------------------------------------------
+  function markProvisional(element, item) {
+    element.classList.add('x-shield-provisional');
+    const textEl = element.querySelector('[data-testid="tweetText"]');
+    if (textEl && !element.querySelector('.x-shield-provisional-label')) {
+      const label = document.createElement('span');
+      label.className = 'x-shield-provisional-label';
+      label.textContent = 'provisional — X-Shield offline rules';
+      textEl.parentNode.insertBefore(label, textEl.nextSibling);
+    }
+
+    provisionalTweets.set(item.id, item);
+    if (!provisionalTimer) {
+      provisionalTimer = setInterval(recheckProvisional, PROVISIONAL_RECHECK_MS);
+    }
+  }
+
+  async function recheckProvisional() {
+    for (const [id, item] of provisionalTweets) {
+      if (!item.element.isConnected) provisionalTweets.delete(id);
+    }
+    if (provisionalTweets.size === 0) {
+      clearInterval(provisionalTimer);
+      provisionalTimer = null;
+      return;
+    }
+
+    const resp = await sendMessage({ type: 'CHECK_API_KEY' });
+    if (!resp || !resp.hasKey || resp.offline) return;
+
+    // Tweets stay as they are until the real verdict replaces them
+    const items = [...provisionalTweets.values()];
+    provisionalTweets.clear();
+    items.forEach(addToBatchQueue);
+  }
+
   // ---------------------------------------------------------------
   // Batch queue management
   // ---------------------------------------------------------------
@@ -249,8 +453,8 @@
       TWEET_SELECTOR + '.x-shield-pending, ' + CELL_SELECTOR + '.x-shield-pending'
     );
     for (const candidate of pending) {
-      const { text: candidateText } = extractTweetContent(candidate);
-      if (contentHash(candidateText) === hash) {
+      const { text: candidateText, imageUrls: candidateImages } = extractTweetContent(candidate);
+      if (tweetHash(candidateText, candidateImages) === hash) {
         return candidate;
       }
     }
@@ -274,6 +478,74 @@
     }
   }
 
+  // The background sends its strictness setting with every batch
+  function setStrictness(level) {
+    if (STRICTNESS_LEVELS.includes(level)) strictness = level;
+  }
+
+  // Apply one verdict from an in-flight batch. Called for streamed
+  // partial verdicts and again for the final response, so verdicts
+  // that were already applied are skipped.
+  function applyBatchVerdict(ctx, v) {
+    if (!v || typeof v.id === 'undefined' || typeof v.verdict === 'undefined') {
+      // Malformed entry — skip, tweet stays hidden (fail closed)
+      return;
+    }
+    if (ctx.verdictInfo.has(v.id)) return;
+
+    // Cache the verdict by content hash first — even if element is gone,
+    // future instances of the same tweet will get the cached verdict.
+    // Provisional verdicts aren't cached so they get re-classified,
+    // keyword-rule verdicts aren't so that edited rules apply right away,
+    // and replies judged in context aren't, as the same words may mean
+    // something else under another tweet.
+    // The raw verdict and its confidence are cached; strictness is
+    // applied each time one is shown, so a changed setting reaches
+    // cached tweets too.
+    if (v.hash && !v.provisional && !v.rule && !v.contextual) {
+      verdictCache.set(v.hash, {
+        verdict: v.verdict, confidence: v.confidence, distilled: v.distilled, reason: v.reason, category: v.category,
+      });
+    }
+
+    const shown = applyStrictness(v, strictness);
+    let verdict = shown.verdict;
+
+    const element = resolveElement(v.id, ctx.elements, ctx.hashes, v.hash);
+
+    if (!element || !element.isConnected) {
+      // Element is truly gone — verdict is cached, will apply on re-detection
+      ctx.elements.delete(v.id);
+      elementMap.delete(v.id);
+      return;
+    }
+
+    // Thread coherence: upgrade filtered tweets from the thread author
+    // to "allow" so the thread doesn't have gaps
+    const reply = ctx.onThread && isReply(ctx, element);
+    if (ctx.onThread && verdict === 'block' && ctx.threadAuthor) {
+      const tweetAuthor = getAuthorFromElement(element);
+      if (tweetAuthor === ctx.threadAuthor) {
+        verdict = 'allow';
+      }
+    }
+
+    applyVerdict(element, verdict, v.distilled, { reason: shown.reason, category: v.category });
+    if (v.provisional && ctx.items.has(v.id)) {
+      markProvisional(element, { ...ctx.items.get(v.id), element });
+    }
+    if (reply && v.lowEffort && verdict !== 'block') {
+      collapseLowValueReply(element);
+    }
+
+    // Track for reordering — on status pages only replies move
+    ctx.verdictInfo.set(v.id, { element, verdict, pinned: ctx.onThread && !reply });
+
+    // Clean up element references to prevent memory leak
+    ctx.elements.delete(v.id);
+    elementMap.delete(v.id);
+  }
+
   async function flushBatch() {
     if (batchTimer) {
       clearTimeout(batchTimer);
@@ -286,30 +558,59 @@
     const batch = batchQueue;
     batchQueue = [];
 
+    // Thread context: on a thread page, don't filter the thread author's
+    // tweets — upgrade "block" to "allow" so the thread remains readable
+    const onThread = isOnThreadPage();
+    const ctx = {
+      elements: new Map(),      // id -> element, until a verdict lands
+      hashes: new Map(),        // id -> content hash
+      items: new Map(),         // id -> queued item, for re-classifying provisional verdicts
+      verdictInfo: new Map(),   // id -> { element, verdict }, for reordering
+      onThread,
+      threadAuthor: onThread ? getThreadAuthor() : null,
+      focal: onThread ? findFocalTweet() : null,
+    };
+
+    // Replies are judged against the tweet they answer. The focal tweet,
+    // the tweets above it and the author's own thread aren't replies to
+    // it, so they go without.
+    const context = ctx.focal ? formatForClassification(extractTweetParts(ctx.focal)).slice(0, MAX_CONTEXT_CHARS) : '';
+
     // Store element references and content hashes keyed by id before sending
-    const batchElements = new Map();
-    const batchHashes = new Map();
     const payload = batch.map((item) => {
-      batchElements.set(item.id, item.element);
-      batchHashes.set(item.id, item.hash);
+      ctx.elements.set(item.id, item.element);
+      ctx.hashes.set(item.id, item.hash);
+      ctx.items.set(item.id, item);
       elementMap.set(item.id, item.element);
       return {
         id: item.id,
         text: item.text,
+        body: item.body || '',
         url: item.url || '',
+        author: item.author || '',
+        imageUrls: item.imageUrls || [],
+        context: context && isReply(ctx, item.element) ? context : '',
       };
     });
 
+    // Register the batch so streamed partial verdicts can be applied
+    // while the background is still waiting on the rest
+    const batchId = ++batchCounter;
+    inFlightBatches.set(batchId, ctx);
+
     // Send to background for classification
     const response = await sendMessage({
       type: 'CLASSIFY_BATCH',
+      batchId,
       tweets: payload,
     });
 
+    inFlightBatches.delete(batchId);
+
     // If response is null or malformed, mark tweets as unclassified so they
     // become visible with a warning indicator instead of staying hidden forever.
     if (!response || !response.verdicts || !Array.isArray(response.verdicts)) {
-      for (const [id, el] of batchElements) {
+      for (const [id, el] of ctx.elements) {
         el.classList.remove('x-shield-pending');
         el.classList.add('x-shield-unclassified');
         elementMap.delete(id);
@@ -317,62 +618,25 @@
       return;
     }
 
-    // Thread context: on a thread page, don't filter the thread author's
-    // tweets — upgrade "block" to "allow" so the thread remains readable
-    const onThread = isOnThreadPage();
-    const threadAuthor = onThread ? getThreadAuthor() : null;
-
-    // Apply verdicts
-    const batchVerdictInfo = new Map();
-
-    response.verdicts.forEach((v) => {
-      if (!v || typeof v.id === 'undefined' || typeof v.verdict === 'undefined') {
-        // Malformed entry — skip, tweet stays hidden (fail closed)
-        return;
-      }
-
-      let verdict = v.verdict;
-
-      // Cache the verdict by content hash first — even if element is gone,
-      // future instances of the same tweet will get the cached verdict
-      if (v.hash) {
-        verdictCache.set(v.hash, { verdict, distilled: v.distilled });
-      }
-
-      let element = resolveElement(v.id, batchElements, batchHashes, v.hash);
-
-      if (!element || !element.isConnected) {
-        // Element is truly gone — verdict is cached, will apply on re-detection
-        batchElements.delete(v.id);
-        elementMap.delete(v.id);
-        return;
-      }
-
-      // Thread coherence: upgrade filtered tweets from the thread author
-      // to "allow" so the thread doesn't have gaps
-      if (onThread && verdict === 'block' && threadAuthor) {
-        const tweetAuthor = getAuthorFromElement(element);
-        if (tweetAuthor === threadAuthor) {
-          verdict = 'allow';
-        }
-      }
-
-      applyVerdict(element, verdict, v.distilled);
+    // Streamed partials were applied before the display mode was known
+    setFilteredDisplay(response.filteredDisplay);
+    setStrictness(response.strictness);
 
-      // Track for reordering
-      batchVerdictInfo.set(v.id, { element, verdict });
+    // Apply any verdicts that did not arrive as partials
+    response.verdicts.forEach((v) => applyBatchVerdict(ctx, v));
 
-      // Clean up element references to prevent memory leak
-      batchElements.delete(v.id);
-      elementMap.delete(v.id);
-    });
+    if (response.budgetExceeded) {
+      showBudgetOverlay(response.budgetExceeded);
+    } else {
+      removeBudgetOverlay();
+    }
 
     // Reorder this batch by verdict priority
-    reorderBatch(batchVerdictInfo, response.feedReorderingEnabled !== false);
+    reorderBatch(ctx.verdictInfo, response.feedReorderingEnabled !== false);
 
     // For any tweets in the batch that did NOT receive a verdict,
     // they stay hidden (fail closed) — clean up references anyway
-    for (const id of batchElements.keys()) {
+    for (const id of ctx.elements.keys()) {
       elementMap.delete(id);
     }
   }
@@ -391,6 +655,89 @@
     return match ? match[1].toLowerCase() : null;
   }
 
+  // The tweet a status page is about: the one whose own timestamp links
+  // to the status id in the URL. Everything else on the page replies to
+  // it (or is part of the same thread).
+  function findFocalTweet() {
+    const match = location.pathname.match(/^\/[^/]+\/status\/(\d+)/);
+    if (!match) return null;
+    for (const article of document.querySelectorAll(TWEET_SELECTOR)) {
+      const timeLink = article.querySelector('a[href*="/status/"] time');
+      const anchor = timeLink && timeLink.closest('a');
+      if (anchor && new RegExp(`/status/${match[1]}$`).test(anchor.getAttribute('href'))) return article;
+    }
+    return null;
+  }
+
+  // A reply on a status page: below the focal tweet and not part of the
+  // thread author's own thread
+  function isReply(ctx, element) {
+    if (!ctx.focal || element === ctx.focal) return false;
+    if (!(ctx.focal.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING)) return false;
+    return getAuthorFromElement(element) !== ctx.threadAuthor;
+  }
+
+  // ---------------------------------------------------------------
+  // Low-value replies — "reply guy" responses the classifier marked
+  // low effort are hidden behind one "N low-value replies hidden" stub
+  // per page. Clicking it shows them all, and any that arrive later.
+  // ---------------------------------------------------------------
+  function collapseLowValueReply(article) {
+    if (lowValueReplies.expanded) return;
+    article.classList.add('x-shield-low-value');
+    lowValueReplies.articles.add(article);
+    updateLowValueStub(article);
+  }
+
+  function updateLowValueStub(article) {
+    for (const a of lowValueReplies.articles) {
+      if (!a.isConnected) lowValueReplies.articles.delete(a);
+    }
+    const count = lowValueReplies.articles.size;
+
+    let stub = lowValueReplies.stub;
+    if (count === 0) {
+      if (stub) stub.remove();
+      lowValueReplies.stub = null;
+      return;
+    }
+    if (!stub || !stub.isConnected) {
+      stub = document.createElement('button');
+      stub.type = 'button';
+      stub.className = 'x-shield-low-value-stub';
+      stub.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        expandLowValueReplies();
+      });
+      // Lives in the cell of the reply that triggered it, so it scrolls
+      // with the replies instead of being pinned to the top of the page
+      const host = getCellWrapper(article) || article.parentElement;
+      pauseObserver();
+      host.insertBefore(stub, host.firstChild);
+      resumeObserver();
+      lowValueReplies.stub = stub;
+    }
+    stub.textContent = `${count} low-value repl${count === 1 ? 'y' : 'ies'} hidden — show`;
+  }
+
+  function expandLowValueReplies() {
+    lowValueReplies.expanded = true;
+    for (const article of lowValueReplies.articles) {
+      article.classList.remove('x-shield-low-value');
+    }
+    lowValueReplies.articles.clear();
+    if (lowValueReplies.stub) lowValueReplies.stub.remove();
+    lowValueReplies.stub = null;
+  }
+
+  function resetLowValueReplies() {
+    lowValueReplies.articles.clear();
+    if (lowValueReplies.stub) lowValueReplies.stub.remove();
+    lowValueReplies.stub = null;
+    lowValueReplies.expanded = false;
+  }
+
   function getAuthorFromElement(element) {
     const userNameEl = element.querySelector('[data-testid="User-Name"]');
     if (!userNameEl) return null;
@@ -406,7 +753,93 @@
   }
 
   // ---------------------------------------------------------------
-  // Feed reordering — sort tweets within each batch by verdict priority
+  // Author menu — a small button next to the author's name that puts
+  // the handle on one of the author lists kept by background.js
+  // ---------------------------------------------------------------
+  const AUTHOR_MENU_ITEMS = [
+    { level: 'trusted', label: (handle) => `Always show @${handle}` },
+    { level: 'soften', label: (handle) => `Never filter @${handle}` },
+    { level: 'blocked', label: (handle) => `Always filter @${handle}` },
+    { level: null, label: (handle) => `Remove @${handle} from lists` },
+  ];
+
+  // X recycles tweet nodes, so the menu can outlive the tweet it was
+  // built for: the handle is read from the tweet when the menu opens.
+  function addAuthorMenu(element, handle) {
+    const userNameEl = element.querySelector('[data-testid="User-Name"]');
+    if (!userNameEl) return;
+    const existing = userNameEl.querySelector('.x-shield-author-btn');
+    if (existing) {
+      existing.title = `X-Shield: @${handle}`;
+      return;
+    }
+
+    const wrapper = document.createElement('span');
+    wrapper.className = 'x-shield-author';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'x-shield-author-btn';
+    button.textContent = '\u22EF';
+    button.title = `X-Shield: @${handle}`;
+    button.addEventListener('click', (e) => {
+      // Clicks inside a tweet would otherwise open it
+      e.preventDefault();
+      e.stopPropagation();
+      const current = getAuthorFromElement(element);
+      if (current) toggleAuthorMenu(wrapper, current);
+    });
+    wrapper.appendChild(button);
+    userNameEl.appendChild(wrapper);
+  }
+
+  function closeAuthorMenu() {
+    const open = document.querySelector('.x-shield-author-menu');
+    if (open) open.remove();
+  }
+
+  function toggleAuthorMenu(wrapper, handle) {
+    const wasOpen = wrapper.querySelector('.x-shield-author-menu');
+    closeAuthorMenu();
+    if (wasOpen) return;
+
+    const menu = document.createElement('div');
+    menu.className = 'x-shield-author-menu';
+    for (const item of AUTHOR_MENU_ITEMS) {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.textContent = item.label(handle);
+      option.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        closeAuthorMenu();
+        sendMessage({ type: 'SET_AUTHOR_LIST', handle, level: item.level });
+      });
+      menu.appendChild(option);
+    }
+    wrapper.appendChild(menu);
+  }
+
+  // The lists changed (from here, another tab or the popup). Verdicts
+  // cached before the change may no longer hold, and tweets already on
+  // screen from a trusted or blocked author are updated in place.
+  function applyAuthorListChange(handle, level) {
+    verdictCache.clear();
+    if (level !== 'trusted' && level !== 'blocked') return;
+
+    const verdict = level === 'trusted' ? 'allow' : 'block';
+    document.querySelectorAll(`${TWEET_SELECTOR}, ${CELL_SELECTOR}`).forEach((element) => {
+      if (element.classList.contains('x-shield-pending')) return;
+      if (!X_SHIELD_CLASSES.some((cls) => element.classList.contains(cls))) return;
+      if (getAuthorFromElement(element) === handle) {
+        applyVerdict(element, verdict, undefined, { reason: `${level} author @${handle}` });
+      }
+    });
+  }
+
+  // ---------------------------------------------------------------
+  // Feed reordering — sort tweets within each batch by verdict priority.
+  // On status pages the replies are ranked the same way; the focal
+  // tweet and the author's own thread keep their place.
   // ---------------------------------------------------------------
 
   function isOnFeedPage() {
@@ -421,7 +854,8 @@
   }
 
   function reorderBatch(batchElements, feedReorderingEnabled) {
-    if (!feedReorderingEnabled || !isOnFeedPage()) return;
+    const onThread = isOnThreadPage();
+    if (!feedReorderingEnabled || !(isOnFeedPage() || onThread)) return;
 
     // Collect cellInnerDiv wrappers with their verdict priorities
     const entries = [];
@@ -433,7 +867,7 @@
       if (!cell.querySelector(TWEET_SELECTOR)) continue;
 
       const priority = VERDICT_PRIORITY[info.verdict] ?? VERDICT_PRIORITY.pending;
-      entries.push({ cell, priority, id });
+      entries.push({ cell, priority, id, pinned: info.pinned });
     }
 
     if (entries.length < 2) return;
@@ -444,19 +878,36 @@
     const allSameParent = entries.every(e => e.cell.parentElement === parent);
     if (!allSameParent) return;
 
-    // Sort by priority (lower = higher priority = appears first)
-    entries.sort((a, b) => a.priority - b.priority);
-
     // Snapshot children once to avoid repeated Array.from + indexOf
     const children = Array.from(parent.children);
+    for (const entry of entries) entry.index = children.indexOf(entry.cell);
+    entries.sort((a, b) => a.index - b.index);
+
+    // Split into runs of unpinned cells. A pinned cell (the focal tweet or
+    // the author's thread) is an anchor that nothing moves across; on
+    // status pages so is any cell this batch didn't classify.
+    const runs = [];
+    let run = [];
+    for (const entry of entries) {
+      const prev = run[run.length - 1];
+      if (entry.pinned || (onThread && prev && entry.index !== prev.index + 1)) {
+        if (run.length > 1) runs.push(run);
+        run = [];
+      }
+      if (!entry.pinned) run.push(entry);
+    }
+    if (run.length > 1) runs.push(run);
 
-    // Check if already in order — skip DOM manipulation if so
-    const currentOrder = entries.map(e => children.indexOf(e.cell));
-    const isSorted = currentOrder.every((val, i) => i === 0 || val >= currentOrder[i - 1]);
-    if (isSorted) return;
+    // Sort each run by priority (lower = higher priority = appears first),
+    // keeping only the runs that are out of order
+    const unsorted = runs
+      .map(r => ({ first: r[0].cell, sorted: [...r].sort((a, b) => a.priority - b.priority) }))
+      .filter(r => !r.sorted.every((e, i) => i === 0 || e.index >= r.sorted[i - 1].index));
+    if (unsorted.length === 0) return;
+    const moved = unsorted.flatMap(r => r.sorted);
 
     // Preserve scroll position
-    const firstVisible = entries.find(e => {
+    const firstVisible = moved.find(e => {
       const rect = e.cell.getBoundingClientRect();
       return rect.top >= 0 && rect.top < window.innerHeight;
     });
@@ -465,24 +916,15 @@
     // Pause MutationObserver during reorder
     pauseObserver();
 
-    // Reorder: insert each cell before the next sibling of the previous one
-    // Find the earliest position among our entries
-    let referenceNode = null;
-    let earliestIndex = Infinity;
-    for (const entry of entries) {
-      const idx = children.indexOf(entry.cell);
-      if (idx < earliestIndex) {
-        earliestIndex = idx;
-        referenceNode = parent.children[idx];
+    // Reorder each run in place, starting at its earliest cell
+    for (const { first, sorted } of unsorted) {
+      let referenceNode = first;
+      for (const entry of sorted) {
+        parent.insertBefore(entry.cell, referenceNode);
+        referenceNode = entry.cell.nextSibling;
       }
     }
 
-    // Insert all entries starting at the earliest position
-    for (const entry of entries) {
-      parent.insertBefore(entry.cell, referenceNode);
-      referenceNode = entry.cell.nextSibling;
-    }
-
     // Restore scroll position
     if (firstVisible && firstVisibleTop !== null) {
       const newTop = firstVisible.cell.getBoundingClientRect().top;
@@ -525,16 +967,18 @@
     }
 
     // Step 1: extract content BEFORE hiding (innerText requires visibility)
-    const { text, url } = extractTweetContent(article);
-    const hash = contentHash(text);
+    const { text, body, url, imageUrls } = extractTweetContent(article);
+    const hash = tweetHash(text, imageUrls);
+    const author = getAuthorFromElement(article);
+    if (author) addAuthorMenu(article, author);
 
     // Step 2: hide immediately (fail closed)
     article.classList.add('x-shield-pending');
 
     // Step 3: check local verdict cache
     if (verdictCache.has(hash)) {
-      const cached = verdictCache.get(hash);
-      applyVerdict(article, cached.verdict, cached.distilled);
+      const cached = applyStrictness(verdictCache.get(hash), strictness);
+      applyVerdict(article, cached.verdict, cached.distilled, cached);
       return;
     }
 
@@ -544,9 +988,12 @@
     addToBatchQueue({
       id: tweetId,
       text: text,
+      body: body,
       url: url,
       element: article,
       hash: hash,
+      author: author,
+      imageUrls: imageUrls,
     });
   }
 
@@ -655,6 +1102,7 @@
           batchTimer = null;
         }
         batchQueue = [];
+        resetLowValueReplies();
 
         // Strip x-shield classes from existing tweets and notification
         // cells so recycled DOM elements get re-classified on the new page
@@ -664,6 +1112,8 @@
         const shielded = document.querySelectorAll(shieldedSelector);
         shielded.forEach((el) => {
           el.classList.remove(...X_SHIELD_CLASSES);
+          removePlaceholder(el);
+          el.querySelectorAll('.x-shield-author').forEach((menu) => menu.remove());
           const label = el.querySelector('.x-shield-distilled-label');
           if (label) label.remove();
         });
@@ -764,7 +1214,7 @@
     const apiKeyResponse = await sendMessage({ type: 'CHECK_API_KEY' });
     if (!apiKeyResponse || !apiKeyResponse.hasKey) {
       const mode = (apiKeyResponse && apiKeyResponse.mode) || 'local';
-      showApiKeyOverlay(mode);
+      showApiKeyOverlay(mode, apiKeyResponse && apiKeyResponse.reason);
 
       // Poll for server availability — retry every 5 seconds
       const serverRetryInterval = setInterval(async () => {
@@ -4,6 +4,9 @@
   const MAX_TABLE_ROWS = 500;
   const tbody = document.getElementById('table-body');
   const statsContainer = document.getElementById('stats-container');
+  const categoryChart = document.getElementById('category-chart');
+  const usageHistory = document.getElementById('usage-history');
+  const usageBody = document.getElementById('usage-body');
   const filterIndicator = document.getElementById('filter-indicator');
   const filterName = document.getElementById('filter-name');
   let emptyRow = document.getElementById('empty-row');
@@ -45,6 +48,58 @@
     document.getElementById('stat-allow').textContent = stats.allow || 0;
     document.getElementById('stat-block').textContent = stats.block || 0;
     document.getElementById('stat-distill').textContent = stats.distill || 0;
+    renderCategoryChart(stats.categories || {});
+  }
+
+  function categoryOf(code) {
+    for (let i = 0; i < REASON_CATEGORIES.length; i++) {
+      if (REASON_CATEGORIES[i].code === code) return REASON_CATEGORIES[i];
+    }
+    return null;
+  }
+
+  // Every logged category, most common first, as bars scaled to the largest
+  function renderCategoryChart(categories) {
+    const rows = Object.keys(categories).map(function(code) { return [code, categories[code]]; });
+    rows.sort(function(a, b) { return b[1] - a[1]; });
+    const max = rows.length > 0 ? rows[0][1] : 0;
+
+    categoryChart.innerHTML = '';
+    for (let i = 0; i < rows.length; i++) {
+      const category = categoryOf(rows[i][0]);
+      const row = document.createElement('div');
+      row.className = 'category-row';
+      row.innerHTML =
+        '<span class="label">' + escapeHtml(category ? category.label : rows[i][0]) + '</span>' +
+        '<span class="track"><span class="bar' + (category && category.manipulation ? ' manipulation' : '') +
+          '" style="width:' + (rows[i][1] / max * 100) + '%"></span></span>' +
+        '<span class="count">' + rows[i][1] + '</span>';
+      categoryChart.appendChild(row);
+    }
+  }
+
+  // API mode token usage and cost, one row per day
+  function loadUsage() {
+    chrome.runtime.sendMessage({ type: 'GET_TOKEN_USAGE' }, function(response) {
+      if (chrome.runtime.lastError || !response) return;
+      const days = response.days || [];
+      usageHistory.classList.toggle('empty', days.length === 0);
+      usageBody.innerHTML = '';
+      for (let i = 0; i < days.length; i++) {
+        const day = days[i];
+        const tr = document.createElement('tr');
+        tr.innerHTML =
+          '<td class="time">' + escapeHtml(day.date) + '</td>' +
+          '<td>' + (day.calls || 0) + '</td>' +
+          '<td>' + (day.inputTokens || 0).toLocaleString() + '</td>' +
+          '<td>' + (day.cacheReadTokens || 0).toLocaleString() + '</td>' +
+          '<td>' + (day.cacheWriteTokens || 0).toLocaleString() + '</td>' +
+          '<td>' + (day.outputTokens || 0).toLocaleString() + '</td>' +
+          '<td class="cost"' + (day.unpriced ? ' title="Some calls used a model with no price set"' : '') + '>$' +
+            (day.cost || 0).toFixed(2) + (day.unpriced ? '*' : '') + '</td>';
+        usageBody.appendChild(tr);
+      }
+    });
   }
 
   function createRow(entry, animate) {
@@ -62,13 +117,19 @@
     const displayLabel = verdictLabels[verdict] || verdict;
     const url = entry.tweetUrl || '';
     const safeUrl = isSafeUrl(url) ? url : '';
+    const category = categoryOf(entry.category);
+    const categoryLabel = category ? category.label : entry.category;
 
     tr.innerHTML =
       '<td class="time">' + escapeHtml(time) + '</td>' +
       '<td class="link-cell">' + (safeUrl ? '<a href="' + escapeHtml(safeUrl) + '" target="_blank" rel="noopener" style="color:#4a9eff;text-decoration:none" title="Open tweet">&#x2197;</a>' : '') + '</td>' +
-      '<td class="verdict-cell"><span class="badge ' + escapeHtml(verdict) + '">' + escapeHtml(displayLabel) + '</span></td>' +
+      '<td class="verdict-cell"><span class="badge ' + escapeHtml(verdict) + '">' + escapeHtml(displayLabel) + '</span>' +
+        (entry.provisional ? '<span class="badge-note" title="Offline rules — re-classified when the backend is back">provisional</span>' : '') +
+        (entry.rule ? '<span class="badge-note" title="' + escapeHtml(entry.rule) + '">rule</span>' : '') +
+        (entry.category ? '<span class="category">' + escapeHtml(categoryLabel) + '</span>' : '') +
+        (typeof entry.confidence === 'number' ? '<span class="confidence" title="Model confidence">' + Math.round(entry.confidence * 100) + '%</span>' : '') + '</td>' +
       '<td class="tweet-text"><div class="tweet-content' + (truncated ? ' truncated' : '') + '">' + escapeHtml(displayText) + '</div></td>' +
-      '<td class="reason">' + escapeHtml(reason) + '</td>' +
+      '<td class="reason"' + (entry.promptVersion ? ' title="prompt ' + escapeHtml(entry.promptVersion) + '"' : '') + '>' + escapeHtml(reason) + '</td>' +
       '<td class="distilled-cell">' + escapeHtml(distilled) + '</td>';
 
     if (truncated) {
@@ -233,13 +294,15 @@
       emptyRow.innerHTML = '<td colspan="6"><div class="icon">&#x229B;</div><p>Log cleared.</p></td>';
       tbody.appendChild(emptyRow);
       latestTimestamp = 0;
-      updateStats({ total: 0, nourish: 0, allow: 0, block: 0, distill: 0 });
+      updateStats({ total: 0, nourish: 0, allow: 0, block: 0, distill: 0, categories: {} });
     });
   });
 
   // Initial load
   loadHistory(null);
+  loadUsage();
 
   // Poll every 10 seconds
   setInterval(pollForUpdates, 10000);
+  setInterval(loadUsage, 10000);
 })();
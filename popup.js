@@ -1,4 +1,4 @@
-const LOCAL_SERVER = 'http://127.0.0.1:7890';
+const DEFAULT_LOCAL_SERVER = 'http://127.0.0.1:7890';
 
 // ===== DOM Elements =====
 const els = {
@@ -7,18 +7,58 @@ const els = {
   modeLocalSettings: document.getElementById('mode-local-settings'),
   modeApiSettings: document.getElementById('mode-api-settings'),
   serverStatusText: document.getElementById('server-status-text'),
+  serverMetricsText: document.getElementById('server-metrics-text'),
+  serverPromptWarning: document.getElementById('server-prompt-warning'),
+  inputServerToken: document.getElementById('input-server-token'),
+  btnSaveServerToken: document.getElementById('btn-save-server-token'),
+  serverTokenStatus: document.getElementById('server-token-status'),
+  inputServerUrl: document.getElementById('input-server-url'),
+  btnSaveServerUrl: document.getElementById('btn-save-server-url'),
+  serverUrlStatus: document.getElementById('server-url-status'),
   inputApiKey: document.getElementById('input-api-key'),
   btnSaveApiKey: document.getElementById('btn-save-api-key'),
   apiKeyStatus: document.getElementById('api-key-status'),
+  inputModelPrices: document.getElementById('input-model-prices'),
+  btnSaveModelPrices: document.getElementById('btn-save-model-prices'),
+  modelPricesStatus: document.getElementById('model-prices-status'),
+  inputBudgetDaily: document.getElementById('input-budget-daily'),
+  inputBudgetMonthly: document.getElementById('input-budget-monthly'),
+  selectBudgetNear: document.getElementById('select-budget-near'),
+  btnSaveBudget: document.getElementById('btn-save-budget'),
+  budgetStatus: document.getElementById('budget-status'),
+  inputKeywordRules: document.getElementById('input-keyword-rules'),
+  btnSaveKeywordRules: document.getElementById('btn-save-keyword-rules'),
+  keywordRulesStatus: document.getElementById('keyword-rules-status'),
+  authorList: document.getElementById('author-list'),
+  inputAuthorHandle: document.getElementById('input-author-handle'),
+  selectAuthorLevel: document.getElementById('select-author-level'),
+  btnAddAuthor: document.getElementById('btn-add-author'),
+  authorStatus: document.getElementById('author-status'),
+  selectModelLocal: document.getElementById('select-model-local'),
+  selectModelApi: document.getElementById('select-model-api'),
+  btnCascadeOff: document.getElementById('btn-cascade-off'),
+  btnCascadeOn: document.getElementById('btn-cascade-on'),
+  btnFilteredHidden: document.getElementById('btn-filtered-hidden'),
+  btnFilteredCollapsed: document.getElementById('btn-filtered-collapsed'),
+  btnOfflineOff: document.getElementById('btn-offline-off'),
+  btnOfflineOn: document.getElementById('btn-offline-on'),
+  promptModules: document.getElementById('prompt-modules'),
+  inputPersonalRules: document.getElementById('input-personal-rules'),
+  btnSavePersonalRules: document.getElementById('btn-save-personal-rules'),
+  personalRulesStatus: document.getElementById('personal-rules-status'),
+  inputStrictness: document.getElementById('input-strictness'),
+  strictnessText: document.getElementById('strictness-text'),
   inputTimeLimit: document.getElementById('input-time-limit'),
   timeUsedText: document.getElementById('time-used-text'),
   progressBar: document.getElementById('progress-bar'),
+  tokenUsageText: document.getElementById('token-usage-text'),
   statAnalyzed: document.getElementById('stat-analyzed'),
   statFiltered: document.getElementById('stat-filtered'),
   statShown: document.getElementById('stat-shown'),
   statNourished: document.getElementById('stat-nourished'),
   statDistilled: document.getElementById('stat-distilled'),
   filteredPct: document.getElementById('filtered-pct'),
+  categoryChart: document.getElementById('category-chart'),
   btnResetStats: document.getElementById('btn-reset-stats'),
   btnLogOff: document.getElementById('btn-log-off'),
   btnLogOn: document.getElementById('btn-log-on'),
@@ -31,10 +71,12 @@ const els = {
 
 let refreshInterval = null;
 let currentMode = 'local';
+let localServer = DEFAULT_LOCAL_SERVER;
 
 // ===== Initialization =====
 document.addEventListener('DOMContentLoaded', () => {
   loadSettings();
+  loadModelPrices();
   loadStats();
   startAutoRefresh();
   bindEvents();
@@ -87,32 +129,132 @@ function saveApiKey() {
   });
 }
 
+// ===== Pairing Token =====
+function saveServerToken() {
+  const token = els.inputServerToken.value.trim();
+  if (!token) return;
+
+  chrome.runtime.sendMessage({ type: 'SET_SERVER_TOKEN', token }, (response) => {
+    if (chrome.runtime.lastError) return;
+    if (response && response.success) {
+      els.inputServerToken.value = '';
+      els.inputServerToken.placeholder = '****' + token.slice(-4);
+      els.serverTokenStatus.textContent = 'Token saved';
+      els.serverTokenStatus.classList.remove('api-key-error');
+      els.serverTokenStatus.classList.add('api-key-saved');
+      setTimeout(() => { els.serverTokenStatus.textContent = ''; }, 2000);
+      checkServerStatus();
+    }
+  });
+}
+
+// ===== Server Address =====
+function saveServerUrl() {
+  const url = els.inputServerUrl.value.trim();
+
+  chrome.runtime.sendMessage({ type: 'SET_SERVER_URL', url }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    if (response.success) {
+      localServer = response.url;
+      els.inputServerUrl.value = response.url;
+      els.serverUrlStatus.textContent = 'Address saved';
+      els.serverUrlStatus.classList.remove('api-key-error');
+      els.serverUrlStatus.classList.add('api-key-saved');
+      setTimeout(() => { els.serverUrlStatus.textContent = ''; }, 2000);
+      checkServerStatus();
+    } else {
+      els.serverUrlStatus.textContent = response.error;
+      els.serverUrlStatus.classList.remove('api-key-saved');
+      els.serverUrlStatus.classList.add('api-key-error');
+    }
+  });
+}
+
 // ===== Server Status =====
-function checkServerStatus() {
-  fetch(`${LOCAL_SERVER}/health`)
-    .then((res) => {
-      if (res.ok) {
-        els.serverStatusText.textContent = 'Local server: connected';
-        els.serverStatusText.classList.remove('server-disconnected');
-        els.serverStatusText.classList.add('server-connected');
-      } else {
-        els.serverStatusText.textContent = 'Local server: error';
-        els.serverStatusText.classList.remove('server-connected');
-        els.serverStatusText.classList.add('server-disconnected');
-      }
+function setServerStatus(text, connected) {
+  els.serverStatusText.textContent = text;
+  els.serverStatusText.classList.toggle('server-connected', connected);
+  els.serverStatusText.classList.toggle('server-disconnected', !connected);
+}
+
+// One-line summary of the server's /metrics, e.g.
+// "2/3 warm · 1 on-demand · avg 4.2s · 1 timeout"
+function summarizeMetrics(m) {
+  const parts = [];
+  if (m.pool) {
+    parts.push(`${m.pool.warm}/${m.pool.size} warm`);
+    if (m.pool.onDemandSpawns > 0) parts.push(`${m.pool.onDemandSpawns} on-demand`);
+    if (m.pool.queued > 0) parts.push(`${m.pool.queued} queued`);
+  }
+  if (m.batches.inFlight > 0) parts.push(`${m.batches.inFlight} in flight`);
+  if (m.latencySeconds.count > 0) {
+    parts.push(`avg ${(m.latencySeconds.sum / m.latencySeconds.count).toFixed(1)}s`);
+  }
+  const failures = [
+    [m.timeouts, 'timeout'],
+    [m.nonZeroExits, 'crash'],
+    [m.parseFailures, 'parse failure'],
+    [m.pool ? m.pool.rejectedFull + m.pool.rejectedTimeout : 0, 'rejection'],
+  ];
+  for (const [count, label] of failures) {
+    if (count > 0) parts.push(`${count} ${label}${count === 1 ? '' : 's'}`);
+  }
+  return parts.join(' · ');
+}
+
+function loadServerMetrics(headers) {
+  fetch(`${localServer}/metrics?format=json`, { headers })
+    .then((res) => (res.ok ? res.json() : null))
+    .then((m) => {
+      els.serverMetricsText.textContent = m ? summarizeMetrics(m) : '';
     })
     .catch(() => {
-      els.serverStatusText.textContent = 'Local server: disconnected';
-      els.serverStatusText.classList.remove('server-connected');
-      els.serverStatusText.classList.add('server-disconnected');
+      els.serverMetricsText.textContent = '';
     });
 }
 
+function checkServerStatus() {
+  chrome.storage.local.get('serverToken', ({ serverToken }) => {
+    const headers = serverToken ? { 'X-Shield-Token': serverToken } : {};
+    fetch(`${localServer}/health`, { headers })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((health) => {
+        showPromptVersionWarning(health && health.promptVersion);
+        if (!health) {
+          setServerStatus('Local server: error', false);
+          els.serverMetricsText.textContent = '';
+        } else if (health.paired !== true) {
+          setServerStatus('Local server: not paired — enter the token below', false);
+          els.serverMetricsText.textContent = '';
+        } else {
+          setServerStatus('Local server: connected', true);
+          loadServerMetrics(headers);
+        }
+      })
+      .catch(() => {
+        setServerStatus('Local server: disconnected', false);
+        els.serverMetricsText.textContent = '';
+        showPromptVersionWarning(null);
+      });
+  });
+}
+
+// CLASSIFICATION_PROMPT_VERSION comes from system-prompt.js, loaded by
+// popup.html — the same build background.js uses in API mode
+function showPromptVersionWarning(serverVersion) {
+  els.serverPromptWarning.textContent = serverVersion && serverVersion !== CLASSIFICATION_PROMPT_VERSION
+    ? `Server prompt (${serverVersion}) differs from the extension's (${CLASSIFICATION_PROMPT_VERSION}) — restart node server.js after updating`
+    : '';
+}
+
 // ===== Settings =====
 function loadSettings() {
-  checkServerStatus();
+  chrome.storage.local.get(['settings', 'apiKey', 'serverToken'], (result) => {
+    // Server address — check status once it is known
+    localServer = (result.settings && result.settings.serverUrl) || DEFAULT_LOCAL_SERVER;
+    els.inputServerUrl.value = localServer;
+    checkServerStatus();
 
-  chrome.storage.local.get(['settings', 'apiKey'], (result) => {
     // Time limit
     const timeLimitMinutes = (result.settings && typeof result.settings.timeLimitSeconds === 'number')
       ? result.settings.timeLimitSeconds / 60
@@ -128,11 +270,286 @@ function loadSettings() {
       els.inputApiKey.placeholder = 'sk-ant-****' + result.apiKey.slice(-4);
     }
 
+    // Pairing token — same masking
+    if (result.serverToken) {
+      els.inputServerToken.placeholder = '****' + result.serverToken.slice(-4);
+    }
+
+    // Filter categories
+    renderPromptModules((result.settings && result.settings.promptModules) || {});
+    els.inputPersonalRules.value = normalizePersonalRules(result.settings && result.settings.personalRules).join('\n');
+
+    // Author lists
+    renderAuthorLists((result.settings && result.settings.authorLists) || {});
+
+    // Spend budget
+    const budget = (result.settings && result.settings.budget) || {};
+    els.inputBudgetDaily.value = budget.daily || '';
+    els.inputBudgetMonthly.value = budget.monthly || '';
+    els.selectBudgetNear.value = budget.nearLimit || 'model';
+
+    // Keyword rules
+    els.inputKeywordRules.value = ((result.settings && result.settings.keywordRules) || []).join('\n');
+
+    // Strictness slider
+    const strictness = (result.settings && result.settings.strictness) || 'balanced';
+    els.inputStrictness.value = Math.max(STRICTNESS_LEVELS.indexOf(strictness), 0);
+    updateStrictnessText();
+
+    // Models and cascade
+    const models = (result.settings && result.settings.models) || {};
+    if (typeof models.local === 'string') els.selectModelLocal.value = models.local;
+    if (models.api) els.selectModelApi.value = models.api;
+    updateCascadeUI(!!(result.settings && result.settings.cascadeEnabled));
+
+    // Filtered tweet display
+    updateFilteredDisplayUI((result.settings && result.settings.filteredDisplay) || 'hidden');
+
+    // Offline fallback toggle
+    updateOfflineFallbackUI(!!(result.settings && result.settings.offlineFallbackEnabled));
+
     // Logging toggle
     updateLoggingUI(!!(result.settings && result.settings.loggingEnabled));
   });
 }
 
+function setModel(mode, model) {
+  chrome.runtime.sendMessage({ type: 'SET_MODEL', mode, model }, () => {
+    if (chrome.runtime.lastError) return;
+  });
+}
+
+function updateCascadeUI(enabled) {
+  els.btnCascadeOn.classList.toggle('active', enabled);
+  els.btnCascadeOff.classList.toggle('active', !enabled);
+}
+
+function toggleCascade(enabled) {
+  chrome.runtime.sendMessage({ type: 'SET_CASCADE', enabled }, (response) => {
+    if (chrome.runtime.lastError) return;
+    if (response && response.success) {
+      updateCascadeUI(response.enabled);
+    }
+  });
+}
+
+function updateFilteredDisplayUI(mode) {
+  els.btnFilteredCollapsed.classList.toggle('active', mode === 'collapsed');
+  els.btnFilteredHidden.classList.toggle('active', mode !== 'collapsed');
+}
+
+function setFilteredDisplay(mode) {
+  chrome.runtime.sendMessage({ type: 'SET_FILTERED_DISPLAY', mode }, (response) => {
+    if (chrome.runtime.lastError) return;
+    if (response && response.success) {
+      updateFilteredDisplayUI(response.mode);
+    }
+  });
+}
+
+function updateOfflineFallbackUI(enabled) {
+  els.btnOfflineOn.classList.toggle('active', enabled);
+  els.btnOfflineOff.classList.toggle('active', !enabled);
+}
+
+function toggleOfflineFallback(enabled) {
+  chrome.runtime.sendMessage({ type: 'SET_OFFLINE_FALLBACK', enabled }, (response) => {
+    if (chrome.runtime.lastError) return;
+    if (response && response.success) {
+      updateOfflineFallbackUI(response.enabled);
+    }
+  });
+}
+
+// One checkbox per optional prompt module (PROMPT_MODULES comes from
+// system-prompt.js), grouped under its verdict
+function renderPromptModules(moduleSettings) {
+  els.promptModules.textContent = '';
+  let currentGroup = null;
+
+  for (const module of PROMPT_MODULES) {
+    if (module.required) continue;
+
+    if (module.group !== currentGroup) {
+      currentGroup = module.group;
+      const heading = document.createElement('span');
+      heading.className = 'prompt-module-group';
+      heading.textContent = currentGroup;
+      els.promptModules.appendChild(heading);
+    }
+
+    const label = document.createElement('label');
+    label.className = 'prompt-module';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = isPromptModuleEnabled(module, moduleSettings);
+    checkbox.addEventListener('change', () => savePromptModule(module.id, checkbox.checked));
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(module.label));
+    els.promptModules.appendChild(label);
+  }
+}
+
+function savePromptModule(id, enabled) {
+  chrome.storage.local.get('settings', (result) => {
+    const settings = result.settings || {};
+    settings.promptModules = { ...settings.promptModules, [id]: enabled };
+    chrome.storage.local.set({ settings }, () => {
+      chrome.runtime.sendMessage({ type: 'PROMPT_CHANGED' });
+    });
+  });
+}
+
+// Rules are normalized (and capped) by system-prompt.js so the textarea
+// shows exactly what gets sent
+function savePersonalRules() {
+  const rules = normalizePersonalRules(els.inputPersonalRules.value.split('\n'));
+
+  chrome.storage.local.get('settings', (result) => {
+    const settings = result.settings || {};
+    settings.personalRules = rules;
+    chrome.storage.local.set({ settings }, () => {
+      chrome.runtime.sendMessage({ type: 'PROMPT_CHANGED' });
+      els.inputPersonalRules.value = rules.join('\n');
+      els.personalRulesStatus.textContent = rules.length === 1 ? '1 rule saved' : `${rules.length} rules saved`;
+      els.personalRulesStatus.classList.add('api-key-saved');
+      setTimeout(() => { els.personalRulesStatus.textContent = ''; }, 2000);
+    });
+  });
+}
+
+// ===== Token Prices =====
+function formatModelPrices(prices) {
+  return Object.entries(prices).map(([model, p]) => `${model} ${p.input} ${p.output}`).join('\n');
+}
+
+function loadModelPrices() {
+  chrome.runtime.sendMessage({ type: 'GET_MODEL_PRICES' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    els.inputModelPrices.value = formatModelPrices(response.prices);
+  });
+}
+
+function saveModelPrices() {
+  const prices = els.inputModelPrices.value.split('\n');
+
+  chrome.runtime.sendMessage({ type: 'SET_MODEL_PRICES', prices }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    if (response.success) {
+      els.inputModelPrices.value = formatModelPrices(response.prices);
+      els.modelPricesStatus.textContent = 'Saved';
+      els.modelPricesStatus.classList.remove('api-key-error');
+      els.modelPricesStatus.classList.add('api-key-saved');
+      setTimeout(() => { els.modelPricesStatus.textContent = ''; }, 2000);
+    } else {
+      els.modelPricesStatus.textContent = response.error;
+      els.modelPricesStatus.classList.remove('api-key-saved');
+      els.modelPricesStatus.classList.add('api-key-error');
+    }
+  });
+}
+
+// ===== Spend Budget =====
+function saveBudget() {
+  chrome.runtime.sendMessage({
+    type: 'SET_BUDGET',
+    daily: els.inputBudgetDaily.value,
+    monthly: els.inputBudgetMonthly.value,
+    nearLimit: els.selectBudgetNear.value,
+  }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) return;
+    els.inputBudgetDaily.value = response.budget.daily || '';
+    els.inputBudgetMonthly.value = response.budget.monthly || '';
+    els.budgetStatus.textContent = 'Saved';
+    els.budgetStatus.classList.add('api-key-saved');
+    setTimeout(() => { els.budgetStatus.textContent = ''; }, 2000);
+    loadStats();
+  });
+}
+
+// background.js parses the rules and rejects the list if one is invalid
+function saveKeywordRules() {
+  const rules = els.inputKeywordRules.value.split('\n');
+
+  chrome.runtime.sendMessage({ type: 'SET_KEYWORD_RULES', rules }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    if (response.success) {
+      els.inputKeywordRules.value = response.rules.join('\n');
+      els.keywordRulesStatus.textContent = response.rules.length === 1 ? '1 rule saved' : `${response.rules.length} rules saved`;
+      els.keywordRulesStatus.classList.remove('api-key-error');
+      els.keywordRulesStatus.classList.add('api-key-saved');
+      setTimeout(() => { els.keywordRulesStatus.textContent = ''; }, 2000);
+    } else {
+      els.keywordRulesStatus.textContent = response.error;
+      els.keywordRulesStatus.classList.remove('api-key-saved');
+      els.keywordRulesStatus.classList.add('api-key-error');
+    }
+  });
+}
+
+// ===== Author Lists =====
+const AUTHOR_LEVEL_LABELS = { trusted: 'Always show', soften: 'Never filter', blocked: 'Always filter' };
+
+function renderAuthorLists(authorLists) {
+  els.authorList.textContent = '';
+  for (const handle of Object.keys(authorLists).sort()) {
+    const row = document.createElement('div');
+    row.className = 'author-row';
+
+    const name = document.createElement('span');
+    name.className = 'author-handle';
+    name.textContent = `@${handle}`;
+    const level = document.createElement('span');
+    level.className = `author-level author-level-${authorLists[handle]}`;
+    level.textContent = AUTHOR_LEVEL_LABELS[authorLists[handle]] || authorLists[handle];
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-small author-remove';
+    remove.textContent = '\u00D7';
+    remove.title = `Remove @${handle}`;
+    remove.addEventListener('click', () => setAuthorList(handle, null));
+
+    row.append(name, level, remove);
+    els.authorList.appendChild(row);
+  }
+}
+
+function setAuthorList(handle, level) {
+  chrome.runtime.sendMessage({ type: 'SET_AUTHOR_LIST', handle, level }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    if (response.success) {
+      renderAuthorLists(response.authorLists);
+      els.authorStatus.textContent = '';
+      if (level) els.inputAuthorHandle.value = '';
+    } else {
+      els.authorStatus.textContent = response.error;
+      els.authorStatus.classList.remove('api-key-saved');
+      els.authorStatus.classList.add('api-key-error');
+    }
+  });
+}
+
+// ===== Strictness =====
+// The slider follows STRICTNESS_LEVELS (strictness.js); content.js
+// applies the level when it displays a verdict
+const STRICTNESS_LABELS = {
+  lenient: 'Lenient — borderline filters are distilled',
+  balanced: 'Balanced',
+  strict: 'Strict — borderline shows are distilled',
+};
+
+function updateStrictnessText() {
+  els.strictnessText.textContent = STRICTNESS_LABELS[STRICTNESS_LEVELS[els.inputStrictness.value]];
+}
+
+function saveStrictness() {
+  const level = STRICTNESS_LEVELS[els.inputStrictness.value] || 'balanced';
+  chrome.storage.local.get('settings', (result) => {
+    const settings = result.settings || {};
+    settings.strictness = level;
+    chrome.storage.local.set({ settings });
+  });
+}
+
 function saveTimeLimit() {
   let value = parseInt(els.inputTimeLimit.value, 10);
   if (isNaN(value) || value < 1) value = 1;
@@ -175,6 +592,8 @@ function updateDisplay(stats) {
     els.progressBar.classList.add('amber');
   }
 
+  els.tokenUsageText.textContent = formatTokenUsage(stats.tokenUsage, stats.budget, stats.budgetState);
+
   const analyzed = stats.analyzed || 0;
   const filtered = stats.filtered || 0;
   const shown = stats.shown || 0;
@@ -189,10 +608,75 @@ function updateDisplay(stats) {
 
   if (analyzed > 0) {
     const filteredPct = ((filtered / analyzed) * 100).toFixed(1);
-    els.filteredPct.textContent = `${filtered} of ${analyzed} tweets filtered (${filteredPct}%)`;
+    const provisional = stats.provisional || 0;
+    const ruleMatched = (stats.ruleMuted || 0) + (stats.ruleAllowed || 0);
+    const cascaded = stats.cascaded || 0;
+    const escalatedPct = cascaded > 0 ? Math.round(((stats.escalated || 0) / cascaded) * 100) : 0;
+    els.filteredPct.textContent = `${filtered} of ${analyzed} tweets filtered (${filteredPct}%)` +
+      (provisional > 0 ? ` · ${provisional} by offline rules` : '') +
+      (ruleMatched > 0 ? ` · ${stats.ruleMuted || 0} muted, ${stats.ruleAllowed || 0} allowed by keyword rules` : '') +
+      (cascaded > 0 ? ` · ${stats.escalated || 0} of ${cascaded} escalated (${escalatedPct}%)` : '') +
+      (stats.revealed > 0 ? ` · ${stats.revealed} revealed` : '');
   } else {
     els.filteredPct.textContent = '';
   }
+
+  renderCategoryChart(stats.categories || {});
+}
+
+// "API today: 12.3k in · 1.1k out tokens · $0.05 of $2.00", or '' before
+// the first API call of the day
+const BUDGET_STATE_TEXT = {
+  near: (period) => ` · near ${period} budget`,
+  exceeded: (period) => ` · ${period} budget reached`,
+};
+
+function formatTokenUsage(usage, budget, budgetState) {
+  if (!usage || !usage.calls) return '';
+  const tokens = (n) => (n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n));
+  const state = budgetState && BUDGET_STATE_TEXT[budgetState.state];
+  const cached = usage.cacheReadTokens || usage.cacheWriteTokens
+    ? ` (+${tokens(usage.cacheReadTokens || 0)} cache read, ${tokens(usage.cacheWriteTokens || 0)} written)`
+    : '';
+  return `API today: ${tokens(usage.inputTokens)} in${cached} · ${tokens(usage.outputTokens)} out tokens · ` +
+    `$${usage.cost.toFixed(2)}${budget && budget.daily ? ` of $${budget.daily.toFixed(2)}` : ''}` +
+    `${usage.unpriced ? ' + unpriced models' : ''}${state ? state(budgetState.period) : ''}`;
+}
+
+// Today's most common categories, as bars scaled to the largest
+const CATEGORY_CHART_ROWS = 6;
+
+function renderCategoryChart(categories) {
+  const rows = Object.entries(categories)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, CATEGORY_CHART_ROWS);
+  const max = rows.length > 0 ? rows[0][1] : 0;
+
+  els.categoryChart.textContent = '';
+  for (const [code, count] of rows) {
+    const category = REASON_CATEGORIES.find((c) => c.code === code);
+
+    const row = document.createElement('div');
+    row.className = 'category-row';
+
+    const label = document.createElement('span');
+    label.className = 'category-label';
+    label.textContent = category ? category.label : code;
+
+    const track = document.createElement('span');
+    track.className = 'category-track';
+    const bar = document.createElement('span');
+    bar.className = 'category-bar' + (category && category.manipulation ? ' category-bar-manipulation' : '');
+    bar.style.width = `${(count / max) * 100}%`;
+    track.appendChild(bar);
+
+    const value = document.createElement('span');
+    value.className = 'category-count';
+    value.textContent = count;
+
+    row.append(label, track, value);
+    els.categoryChart.appendChild(row);
+  }
 }
 
 function resetStats() {
@@ -290,6 +774,34 @@ function bindEvents() {
   els.inputApiKey.addEventListener('keydown', (e) => {
     if (e.key === 'Enter') saveApiKey();
   });
+  els.btnSaveServerToken.addEventListener('click', saveServerToken);
+  els.inputServerToken.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveServerToken();
+  });
+  els.btnSaveServerUrl.addEventListener('click', saveServerUrl);
+  els.inputServerUrl.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveServerUrl();
+  });
+  els.selectModelLocal.addEventListener('change', () => setModel('local', els.selectModelLocal.value));
+  els.selectModelApi.addEventListener('change', () => setModel('api', els.selectModelApi.value));
+  els.btnFilteredHidden.addEventListener('click', () => setFilteredDisplay('hidden'));
+  els.btnFilteredCollapsed.addEventListener('click', () => setFilteredDisplay('collapsed'));
+  els.btnCascadeOff.addEventListener('click', () => toggleCascade(false));
+  els.btnCascadeOn.addEventListener('click', () => toggleCascade(true));
+  els.btnOfflineOff.addEventListener('click', () => toggleOfflineFallback(false));
+  els.btnOfflineOn.addEventListener('click', () => toggleOfflineFallback(true));
+  els.btnSavePersonalRules.addEventListener('click', savePersonalRules);
+  els.btnSaveKeywordRules.addEventListener('click', saveKeywordRules);
+  els.btnSaveModelPrices.addEventListener('click', saveModelPrices);
+  els.btnSaveBudget.addEventListener('click', saveBudget);
+  els.btnAddAuthor.addEventListener('click', () => {
+    setAuthorList(els.inputAuthorHandle.value, els.selectAuthorLevel.value);
+  });
+  els.inputAuthorHandle.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') setAuthorList(els.inputAuthorHandle.value, els.selectAuthorLevel.value);
+  });
+  els.inputStrictness.addEventListener('input', updateStrictnessText);
+  els.inputStrictness.addEventListener('change', saveStrictness);
   els.inputTimeLimit.addEventListener('change', saveTimeLimit);
   els.btnResetStats.addEventListener('click', resetStats);
   els.btnLogOff.addEventListener('click', () => toggleLogging(false));
@@ -0,0 +1,45 @@
+// Shared verdict category table — single source of truth for the codes
+// the model tags verdicts with and their display labels.
+// Used by system-prompt.js (which lists the codes in the prompt),
+// background.js (importScripts), popup.js and log.js (script tags, for
+// the category charts) and content.js (loaded before it, for the labels
+// on collapsed placeholders). Kept apart from the prompt so the content
+// script doesn't carry it.
+// Uses `var` for importScripts compatibility with service workers.
+
+/* eslint-disable no-var */
+
+// Category codes the model tags each verdict with, drawn from the prompt
+// sections below. `manipulation` codes describe what a filter or distill
+// caught; the rest describe genuine content. Unknown codes count as
+// "other".
+var REASON_CATEGORIES = [
+  { code: 'rage_bait', label: 'Rage bait', manipulation: true },
+  { code: 'engagement_bait', label: 'Engagement bait', manipulation: true },
+  { code: 'tribal_dunk', label: 'Tribal framing & dunks', manipulation: true },
+  { code: 'doom', label: 'Doom & catastrophizing', manipulation: true },
+  { code: 'conspiracy', label: 'Conspiracy framing', manipulation: true },
+  { code: 'misinformation', label: 'Misinformation', manipulation: true },
+  { code: 'ai_slop', label: 'AI slop', manipulation: true },
+  { code: 'zero_value', label: 'Zero-value replies', manipulation: true },
+  { code: 'shilling', label: 'Crypto & financial shilling', manipulation: true },
+  { code: 'social_comparison', label: 'Comparison, FOMO & status', manipulation: true },
+  { code: 'body_image', label: 'Body image', manipulation: true },
+  { code: 'self_harm', label: 'Self-harm', manipulation: true },
+  { code: 'news', label: 'News' },
+  { code: 'analysis', label: 'Analysis & education' },
+  { code: 'practical', label: 'Practical info' },
+  { code: 'opinion', label: 'Opinion & debate' },
+  { code: 'creative', label: 'Creative work' },
+  { code: 'humor', label: 'Humor' },
+  { code: 'personal', label: 'Personal sharing' },
+  { code: 'support', label: 'Support & community' },
+  { code: 'celebration', label: 'Celebration & gratitude' },
+  { code: 'nature', label: 'Nature & awe' },
+  { code: 'conversation', label: 'Conversation' },
+  { code: 'other', label: 'Other' },
+];
+
+if (typeof module !== 'undefined') {
+  module.exports = { REASON_CATEGORIES };
+}
@@ -1,24 +1,222 @@
 #!/usr/bin/env node
 'use strict';
 
+const crypto = require('crypto');
+const fs = require('fs');
 const http = require('http');
+const os = require('os');
+const path = require('path');
 const { spawn } = require('child_process');
-const CLASSIFICATION_SYSTEM_PROMPT = require('./system-prompt.js');
+const { parseArgs } = require('util');
+const {
+  CLASSIFICATION_SYSTEM_PROMPT,
+  CLASSIFICATION_PROMPT_VERSION,
+  buildClassificationPrompt,
+  classificationPromptKey,
+} = require('./system-prompt.js');
+const {
+  VERDICTS_JSON_SCHEMA, unwrapVerdicts, verdictError, classifyWithRepair,
+} = require('./verdict-schema.js');
 
-const HOST = '127.0.0.1';
-const PORT = 7890;
-const POOL_SIZE = 3;
+// Server state (config, verdict cache, pairing token) lives outside the
+// repo so every browser profile talking to this server shares it
+const DATA_DIR = path.join(os.homedir(), '.x-shield');
+
+// -------------------------------------------------------------------
+// Configuration
+//
+// Each option can be set, in order of precedence, by a CLI flag
+// (--port 7891), an environment variable (XSHIELD_PORT=7891), or a key
+// in the JSON config file ({ "port": 7891 }). The config file is
+// --config / XSHIELD_CONFIG, or ~/.x-shield/config.json if it exists.
+// -------------------------------------------------------------------
+const CONFIG_OPTIONS = {
+  host: { env: 'XSHIELD_HOST', type: 'string', default: '127.0.0.1', help: 'Interface to listen on' },
+  port: { env: 'XSHIELD_PORT', type: 'integer', default: 7890, help: 'Port to listen on' },
+  pool: { env: 'XSHIELD_POOL_SIZE', type: 'integer', default: 3, help: 'Warm claude processes to keep ready' },
+  maxConcurrent: { flag: 'max-concurrent', env: 'XSHIELD_MAX_CONCURRENT', type: 'integer', default: 4, help: 'Most claude processes classifying at once' },
+  maxQueue: { flag: 'max-queue', env: 'XSHIELD_MAX_QUEUE', type: 'integer', default: 16, help: 'Most requests waiting for a process before new ones get 429' },
+  queueTimeout: { flag: 'queue-timeout', env: 'XSHIELD_QUEUE_TIMEOUT', type: 'number', default: 30, help: 'Seconds a request may wait for a process before it gets 503' },
+  model: { env: 'XSHIELD_MODEL', type: 'string', default: 'sonnet', help: 'Model passed to claude --model' },
+  timeout: { env: 'XSHIELD_TIMEOUT', type: 'number', default: 60, help: 'Seconds before a classification call is abandoned' },
+  warmup: { env: 'XSHIELD_WARMUP', type: 'number', default: 1.5, help: 'Seconds a new claude process gets to initialize' },
+  maxBodyBytes: { flag: 'max-body', env: 'XSHIELD_MAX_BODY_BYTES', type: 'integer', default: 1024 * 1024, help: 'Largest accepted request body' },
+  backend: { env: 'XSHIELD_BACKEND', type: 'string', default: 'claude', help: 'Classifier backend: claude, openai or stub' },
+  openaiUrl: { flag: 'openai-url', env: 'XSHIELD_OPENAI_URL', type: 'string', default: 'http://127.0.0.1:8080/v1', help: 'Base URL of the OpenAI-compatible server' },
+  openaiModel: { flag: 'openai-model', env: 'XSHIELD_OPENAI_MODEL', type: 'string', default: '', help: 'Model name sent to the OpenAI-compatible server' },
+  openaiApiKey: { flag: 'openai-api-key', env: 'XSHIELD_OPENAI_API_KEY', type: 'string', default: '', help: 'Bearer token for the OpenAI-compatible server' },
+  openaiImages: { flag: 'openai-images', env: 'XSHIELD_OPENAI_IMAGES', type: 'boolean', default: false, help: 'Send tweet images to the OpenAI-compatible server (needs a vision model)' },
+  jsonSchema: { flag: 'json-schema', env: 'XSHIELD_JSON_SCHEMA', type: 'boolean', default: false, help: 'Constrain claude and openai backend output to the verdict JSON schema' },
+  stubResponse: { flag: 'stub-response', env: 'XSHIELD_STUB_RESPONSE', type: 'string', default: '', help: 'File of raw model output for the stub backend' },
+  allowedOrigins: { flag: 'allowed-origins', env: 'XSHIELD_ALLOWED_ORIGINS', type: 'list', default: [], help: 'Comma-separated origins allowed to call the server' },
+};
+
+function printUsage() {
+  console.log('Usage: node server.js [options]\n');
+  console.log('  --config <file>'.padEnd(30) + 'JSON config file (default ~/.x-shield/config.json)');
+  for (const [key, opt] of Object.entries(CONFIG_OPTIONS)) {
+    const flag = `  --${opt.flag || key} <value>`;
+    console.log(flag.padEnd(30) + `${opt.help} (${opt.env}, default ${JSON.stringify(opt.default)})`);
+  }
+}
+
+function coerceOption(key, value) {
+  const opt = CONFIG_OPTIONS[key];
+  if (opt.type === 'list') {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map((v) => String(v).trim()).filter(Boolean);
+  }
+  if (opt.type === 'string') return String(value);
+  if (opt.type === 'boolean') {
+    if (value === true || value === false) return value;
+    if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+    throw new Error(`Invalid value for ${key}: ${JSON.stringify(value)} (expected true or false)`);
+  }
+
+  const num = Number(value);
+  if (!Number.isFinite(num) || num <= 0 || (opt.type === 'integer' && !Number.isInteger(num))) {
+    throw new Error(`Invalid value for ${key}: ${JSON.stringify(value)} (expected a positive ${opt.type})`);
+  }
+  return num;
+}
+
+function loadConfig(argv, env) {
+  const parseOptions = { config: { type: 'string' }, help: { type: 'boolean', short: 'h' } };
+  for (const [key, opt] of Object.entries(CONFIG_OPTIONS)) {
+    parseOptions[opt.flag || key] = { type: 'string' };
+  }
+  const { values: flags } = parseArgs({ args: argv, options: parseOptions });
+
+  if (flags.help) {
+    printUsage();
+    process.exit(0);
+  }
+
+  const explicitFile = flags.config || env.XSHIELD_CONFIG;
+  const configFile = explicitFile || path.join(DATA_DIR, 'config.json');
+  let fileConfig = {};
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (e) {
+    if (explicitFile || e.code !== 'ENOENT') {
+      throw new Error(`Could not read config file ${configFile}: ${e.message}`);
+    }
+  }
+
+  const config = {};
+  for (const [key, opt] of Object.entries(CONFIG_OPTIONS)) {
+    const flag = flags[opt.flag || key];
+    if (flag !== undefined) config[key] = coerceOption(key, flag);
+    else if (env[opt.env] !== undefined && env[opt.env] !== '') config[key] = coerceOption(key, env[opt.env]);
+    else if (fileConfig[key] !== undefined) config[key] = coerceOption(key, fileConfig[key]);
+    else config[key] = opt.default;
+  }
+  if (config.port > 65535) throw new Error(`Invalid value for port: ${config.port}`);
+  return config;
+}
+
+let CONFIG;
+try {
+  CONFIG = loadConfig(process.argv.slice(2), process.env);
+} catch (e) {
+  console.error(`[X-Shield Server] ${e.message}`);
+  process.exit(1);
+}
+
+const HOST = CONFIG.host;
+const PORT = CONFIG.port;
+const POOL_SIZE = CONFIG.pool;
+const MAX_CONCURRENT = CONFIG.maxConcurrent;
+const MAX_QUEUE = CONFIG.maxQueue;
+const QUEUE_TIMEOUT_MS = CONFIG.queueTimeout * 1000;
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+const CLASSIFY_TIMEOUT_MS = CONFIG.timeout * 1000;
+const WARMUP_DELAY_MS = CONFIG.warmup * 1000;
+const MAX_BODY_BYTES = CONFIG.maxBodyBytes;
+
+const CACHE_FILE = path.join(DATA_DIR, 'verdict-cache.json');
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const CACHE_MAX_ENTRIES = 20000;
+const CACHE_FLUSH_INTERVAL_MS = 5000;
+const TOKEN_FILE = path.join(DATA_DIR, 'pairing-token');
+
+// Origins allowed to call the server. By default any extension origin
+// is accepted (the pairing token is what ties a request to X-Shield);
+// --allowed-origins pins it to exact origins, e.g.
+// "chrome-extension://<extension id>".
+const ALLOWED_ORIGINS = CONFIG.allowedOrigins;
+
+// Classifier backend — "claude" (default), "openai" or "stub"
+const BACKEND = CONFIG.backend;
+const OPENAI_URL = CONFIG.openaiUrl;
+const OPENAI_MODEL = CONFIG.openaiModel;
+const OPENAI_API_KEY = CONFIG.openaiApiKey;
+const OPENAI_IMAGES = CONFIG.openaiImages;
+const STUB_RESPONSE_FILE = CONFIG.stubResponse;
+
+// Model names the extension may ask for: claude CLI aliases ("haiku")
+// or full ids. Never starting with "-", so it can't read as a flag.
+const MODEL_NAME_RE = /^[a-z0-9][a-z0-9.\-]{0,63}$/i;
 
 // -------------------------------------------------------------------
 // CLI args for spawning claude processes
 // -------------------------------------------------------------------
-const CLAUDE_ARGS = [
-  '-p',
-  '--system-prompt', CLASSIFICATION_SYSTEM_PROMPT,
-  '--output-format', 'json',
-  '--model', 'sonnet',
-  '--no-session-persistence',
-];
+function claudeArgs({ systemPrompt, model }) {
+  const args = [
+    '-p',
+    '--system-prompt', systemPrompt,
+    '--input-format', 'stream-json',
+    '--output-format', 'stream-json',
+    '--verbose',
+    '--include-partial-messages',
+    '--model', model,
+    '--no-session-persistence',
+  ];
+  if (CONFIG.jsonSchema) args.push('--json-schema', JSON.stringify(VERDICTS_JSON_SCHEMA));
+  return args;
+}
+
+// -------------------------------------------------------------------
+// Operational metrics — exposed on /metrics
+// -------------------------------------------------------------------
+class Histogram {
+  constructor(buckets) {
+    this.buckets = buckets;
+    this.counts = new Array(buckets.length).fill(0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(value) {
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) this.counts[i]++;
+    }
+    this.sum += value;
+    this.count++;
+  }
+}
+
+const metrics = {
+  batches: 0,              // backend calls
+  tweets: 0,               // tweets sent to the backend
+  batchesInFlight: 0,
+  batchErrors: 0,          // backend calls that failed, other than queue rejections
+  timeouts: 0,
+  nonZeroExits: 0,
+  parseFailures: 0,
+  repairs: 0,              // backend calls re-asking for invalid verdicts
+  repairedTweets: 0,
+  imagesLoaded: 0,         // tweet images downloaded for the model
+  imageFailures: 0,        // tweet images that couldn't be downloaded
+  // Successful backend calls only, so failures, timeouts and queue
+  // rejections don't skew them. Batch time includes any wait for a
+  // claude process; queue and service time split it, and service time
+  // alone sets Retry-After.
+  batchSeconds: new Histogram([1, 2, 5, 10, 20, 30, 60, 120]),
+  queueSeconds: new Histogram([0.1, 0.5, 1, 2, 5, 10, 30]),
+  serviceSeconds: new Histogram([1, 2, 5, 10, 20, 30, 60, 120]),
+};
 
 // -------------------------------------------------------------------
 // Pre-spawn Process Pool
@@ -27,45 +225,154 @@ const CLAUDE_ARGS = [
 // processes in advance so they load the CLI bundle and authenticate
 // before any request arrives. When a request comes in, we grab a warm
 // process, pipe the prompt to its stdin, and collect the result.
+//
+// The system prompt is fixed when a process starts, so the pool keeps
+// warm processes for the most recently requested prompt (the default
+// one until a request with custom prompt modules or rules arrives). A request
+// for another prompt gets an on-demand process and retargets the pool.
+//
+// At most MAX_CONCURRENT processes classify at once. Further requests
+// wait in a queue — one FIFO per client, served round-robin, so a tab
+// scrolling fast can't starve the others. A full queue is rejected with
+// 429 and a request that waits longer than QUEUE_TIMEOUT_MS gets 503;
+// both tell the client when to retry.
 // -------------------------------------------------------------------
+class ServerBusyError extends Error {
+  constructor(message, status, retryAfter) {
+    super(message);
+    this.status = status;
+    this.retryAfter = retryAfter;   // seconds
+  }
+}
+
+const MAX_WARM_TARGETS = 2;
+
+function targetKey({ systemPrompt, model }) {
+  return `${model}\n${systemPrompt}`;
+}
+
 class ProcessPool {
-  constructor(size) {
+  constructor(size, { maxConcurrent, maxQueue, queueTimeoutMs }) {
     this._size = size;
     this._pool = [];
+    this._maxConcurrent = maxConcurrent;
+    this._maxQueue = maxQueue;
+    this._queueTimeoutMs = queueTimeoutMs;
+    this._active = 0;
+    this._queues = new Map();   // client id -> waiters, in arrival order
+    this._queued = 0;
+    this.warmSpawns = 0;
+    this.onDemandSpawns = 0;
+    this.rejectedFull = 0;
+    this.rejectedTimeout = 0;
+    this.retargets = 0;
+
+    // Warm processes per target (system prompt + model), least recently
+    // used first. Up to MAX_WARM_TARGETS are kept so a model cascade
+    // doesn't respawn on every switch.
+    this._targets = new Map();
+    this._target = { systemPrompt: CLASSIFICATION_SYSTEM_PROMPT, model: CONFIG.model };
+    this._targets.set(targetKey(this._target), this._pool);
     for (let i = 0; i < size; i++) {
       this._pool.push(this._spawnWarm());
     }
     console.log(`[X-Shield Server] Pre-spawned ${size} claude processes`);
   }
 
-  _spawnWarm() {
-    const proc = spawn('claude', CLAUDE_ARGS, {
+  _spawnWarm(onDemand) {
+    if (onDemand) this.onDemandSpawns++;
+    else this.warmSpawns++;
+
+    const proc = spawn('claude', claudeArgs(this._target), {
       stdio: ['pipe', 'pipe', 'pipe'],
     });
 
-    const entry = { proc, alive: true };
+    const entry = { proc, alive: true, ...this._target };
 
     // Wait for the CLI to finish initializing before marking ready.
     // Without this, stdin data can arrive during arg parsing and get
     // misinterpreted as CLI options (defense-in-depth alongside the
     // [tweet_N] delimiter which avoids flag-like prefixes).
-    entry.ready = new Promise(resolve => setTimeout(resolve, 1500));
+    entry.ready = new Promise(resolve => setTimeout(resolve, WARMUP_DELAY_MS));
 
-    proc.on('error', (err) => {
-      console.error('[X-Shield Server] Warm process error:', err.message);
-      entry.alive = false;
+    // Listeners go on at spawn time: a process can fail to start or die
+    // while it waits in the pool, long before anyone classifies with it.
+    // `closed` settles once it is gone, with its exit code or spawn error.
+    entry.closed = new Promise((resolve) => {
+      proc.on('error', (err) => {
+        console.error('[X-Shield Server] Warm process error:', err.message);
+        entry.alive = false;
+        resolve({ code: null, error: err });
+      });
+      proc.on('exit', () => {
+        entry.alive = false;
+      });
+      proc.on('close', (code) => resolve({ code, error: null }));
     });
 
-    proc.on('exit', () => {
-      entry.alive = false;
-    });
+    // Writing to a process that already died raises EPIPE on stdin;
+    // the exit is reported through `closed` instead
+    proc.stdin.on('error', () => {});
 
     return entry;
   }
 
-  acquire() {
+  // Resolves with a process once a concurrency slot is free. Every
+  // acquired entry must be handed back with release().
+  // `target` is { systemPrompt, model }
+  async acquire(clientId, target) {
+    if (this._active < this._maxConcurrent) {
+      this._active++;
+      metrics.queueSeconds.observe(0);
+      return this._take(target);
+    }
+
+    if (this._queued >= this._maxQueue) {
+      this.rejectedFull++;
+      throw new ServerBusyError(
+        `Classification queue is full (${this._maxQueue} waiting)`, 429, this._retryAfter());
+    }
+
+    const queuedAt = process.hrtime.bigint();
+    await new Promise((resolve, reject) => {
+      const waiter = { resolve };
+      waiter.timer = setTimeout(() => {
+        this._removeWaiter(clientId, waiter);
+        this.rejectedTimeout++;
+        reject(new ServerBusyError(
+          `No claude process free after ${this._queueTimeoutMs / 1000}s`, 503, this._retryAfter()));
+      }, this._queueTimeoutMs);
+
+      const queue = this._queues.get(clientId) || [];
+      queue.push(waiter);
+      this._queues.set(clientId, queue);
+      this._queued++;
+    });
+
+    // The releasing request handed its slot straight to us
+    metrics.queueSeconds.observe(Number(process.hrtime.bigint() - queuedAt) / 1e9);
+    return this._take(target);
+  }
+
+  release(entry) {
+    if (entry.released) return;
+    entry.released = true;
+
+    const waiter = this._nextWaiter();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+    } else {
+      this._active--;
+    }
+  }
+
+  _take(target) {
+    if (targetKey(target) !== targetKey(this._target)) this._retarget(target);
+
     // Remove any dead processes
     this._pool = this._pool.filter((e) => e.alive);
+    this._targets.set(targetKey(this._target), this._pool);
 
     const entry = this._pool.shift();
 
@@ -78,7 +385,78 @@ class ProcessPool {
 
     // Pool was empty — spawn on demand
     console.log('[X-Shield Server] Pool empty, spawning on-demand process');
-    return this._spawnWarm();
+    return this._spawnWarm(true);
+  }
+
+  _nextWaiter() {
+    // Maps iterate in insertion order: serve the first client, then move
+    // it to the back so the next free slot goes to someone else
+    for (const [clientId, queue] of this._queues) {
+      const waiter = queue.shift();
+      this._queues.delete(clientId);
+      if (queue.length > 0) this._queues.set(clientId, queue);
+      this._queued--;
+      return waiter;
+    }
+    return null;
+  }
+
+  _removeWaiter(clientId, waiter) {
+    const queue = this._queues.get(clientId);
+    const index = queue ? queue.indexOf(waiter) : -1;
+    if (index === -1) return;
+    queue.splice(index, 1);
+    if (queue.length === 0) this._queues.delete(clientId);
+    this._queued--;
+  }
+
+  // Average time a process spends on a batch is the best guess at when
+  // a slot frees up
+  _retryAfter() {
+    const hist = metrics.serviceSeconds;
+    if (hist.count === 0) return DEFAULT_RETRY_AFTER_SECONDS;
+    return Math.max(1, Math.ceil(hist.sum / hist.count));
+  }
+
+  stats() {
+    return {
+      size: this._size,
+      warm: [...this._targets.values()].reduce((n, pool) => n + pool.filter((e) => e.alive).length, 0),
+      warmTargets: this._targets.size,
+      warmSpawns: this.warmSpawns,
+      onDemandSpawns: this.onDemandSpawns,
+      active: this._active,
+      maxConcurrent: this._maxConcurrent,
+      queued: this._queued,
+      maxQueue: this._maxQueue,
+      rejectedFull: this.rejectedFull,
+      rejectedTimeout: this.rejectedTimeout,
+      retargets: this.retargets,
+    };
+  }
+
+  // Switches to the warm processes of another prompt or model, spawning
+  // them if there are none. Past MAX_WARM_TARGETS, the idle processes
+  // of the least recently used target are killed.
+  _retarget(target) {
+    const key = targetKey(target);
+    let pool = this._targets.get(key);
+    if (pool) {
+      this._targets.delete(key);
+    } else {
+      console.log(`[X-Shield Server] New system prompt or model (${target.model}), spawning warm processes`);
+      this.retargets++;
+      pool = [];
+    }
+    this._targets.set(key, pool);
+    this._target = target;
+    this._pool = pool;
+
+    while (this._targets.size > MAX_WARM_TARGETS) {
+      const [oldKey, oldPool] = this._targets.entries().next().value;
+      for (const entry of oldPool) entry.proc.kill();
+      this._targets.delete(oldKey);
+    }
   }
 
   _refill() {
@@ -91,85 +469,742 @@ class ProcessPool {
   }
 }
 
-const pool = new ProcessPool(POOL_SIZE);
+// -------------------------------------------------------------------
+// Parse model output text into a verdict array, stripping code fences
+// -------------------------------------------------------------------
+// Output that arrived but couldn't be parsed. Unlike a crash or timeout
+// it's worth asking again, so classifyTweets repairs instead of failing.
+class MalformedOutputError extends Error {}
+
+function parseVerdictText(text) {
+  text = text.trim();
+  if (text.startsWith('```')) {
+    text = text.replace(/^```(?:json)?\s*\n?/, '').replace(/\n?\s*```\s*$/, '');
+  }
+
+  return JSON.parse(text);
+}
 
 // -------------------------------------------------------------------
 // Parse Claude CLI output, handling outer JSON wrapper and code fences
 // -------------------------------------------------------------------
 function parseClaudeOutput(raw) {
-  // --output-format json wraps output in { "result": "..." }
-  let text = raw;
+  // The stream-json `result` event wraps output in { "result": "..." },
+  // or carries it already parsed as `structured_output` under --json-schema
+  let outer = null;
   try {
-    const outer = JSON.parse(raw);
-    text = outer.result || raw;
+    outer = JSON.parse(raw);
   } catch (e) {
     // Not wrapped in outer JSON — use raw output
   }
 
-  // Strip markdown code fences if present
-  text = text.trim();
-  if (text.startsWith('```')) {
-    text = text.replace(/^```(?:json)?\s*\n?/, '').replace(/\n?\s*```\s*$/, '');
+  if (outer && outer.structured_output) {
+    const verdicts = unwrapVerdicts(outer.structured_output);
+    if (!verdicts) throw new Error('structured output has no verdicts array');
+    return verdicts;
   }
+  return parseVerdictText((outer && outer.result) || raw);
+}
 
-  return JSON.parse(text);
+// -------------------------------------------------------------------
+// Incremental verdict parser
+//
+// Consumes the model's output text as it streams in and emits each
+// element of the top-level JSON array as soon as its closing brace
+// arrives. Brackets inside strings are ignored; anything that fails to
+// parse is dropped here and left to the final parse of the full output.
+// `arrayDepth` is 2 for schema-constrained output, where the array sits
+// inside a { "verdicts": [...] } object.
+// -------------------------------------------------------------------
+class VerdictStreamParser {
+  constructor(onVerdict, arrayDepth = 1) {
+    this._onVerdict = onVerdict;
+    this._arrayDepth = arrayDepth;
+    this._depth = 0;
+    this._inString = false;
+    this._escaped = false;
+    this._buffer = '';
+  }
+
+  push(text) {
+    for (const ch of text) {
+      const capturing = this._depth > this._arrayDepth;
+      if (capturing) this._buffer += ch;
+
+      if (this._inString) {
+        if (this._escaped) this._escaped = false;
+        else if (ch === '\\') this._escaped = true;
+        else if (ch === '"') this._inString = false;
+        continue;
+      }
+
+      if (ch === '"') {
+        this._inString = true;
+      } else if (ch === '[' || ch === '{') {
+        this._depth++;
+        if (this._depth === this._arrayDepth + 1 && ch === '{') this._buffer = ch;
+      } else if (ch === ']' || ch === '}') {
+        this._depth--;
+        if (this._depth === this._arrayDepth && capturing) this._emit();
+      }
+    }
+  }
+
+  _emit() {
+    const raw = this._buffer;
+    this._buffer = '';
+    let verdict;
+    try {
+      verdict = JSON.parse(raw);
+    } catch (e) {
+      return;
+    }
+    if (verdict && typeof verdict === 'object') this._onVerdict(verdict);
+  }
 }
 
 // -------------------------------------------------------------------
 // Classify using a warm claude process from the pool
+//
+// The CLI runs with --output-format stream-json, so stdout is one JSON
+// event per line. Text deltas are fed to a VerdictStreamParser so
+// `onVerdict` fires per tweet while the model is still writing; the
+// final `result` event carries the full output used for the resolved
+// verdict array. Under --json-schema the model answers through a tool
+// call instead, so the parser follows the tool input deltas.
 // -------------------------------------------------------------------
-async function classifyWithClaude(userPrompt) {
-  const entry = pool.acquire();
+async function classifyWithClaude(pool, { userContent, systemPrompt, model, clientId }, onVerdict) {
+  const entry = await pool.acquire(clientId, { systemPrompt, model: model || CONFIG.model });
 
-  // Wait for the CLI to finish initializing before writing to stdin
-  await entry.ready;
+  // However the call ends, the slot goes back exactly once
+  try {
+    // Wait for the CLI to finish initializing before writing to stdin
+    await entry.ready;
+    if (!entry.alive) {
+      const { code, error } = await entry.closed;
+      if (error) throw new Error(`Failed to spawn claude: ${error.message}`);
+      metrics.nonZeroExits++;
+      throw new Error(`claude exited with code ${code} before classifying`);
+    }
+    const started = process.hrtime.bigint();
+    const verdicts = await runClaude(entry, userContent, onVerdict);
+    metrics.serviceSeconds.observe(Number(process.hrtime.bigint() - started) / 1e9);
+    return verdicts;
+  } finally {
+    pool.release(entry);
+  }
+}
 
+function runClaude(entry, userContent, onVerdict) {
   const { proc } = entry;
+  const parser = onVerdict ? new VerdictStreamParser(onVerdict, CONFIG.jsonSchema ? 2 : 1) : null;
+  const deltaType = CONFIG.jsonSchema ? 'input_json_delta' : 'text_delta';
 
   return new Promise((resolve, reject) => {
-    let stdout = '';
+    let pending = '';
+    let resultLine = null;
     let stderr = '';
+    let timedOut = false;
+
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (e) {
+        return;
+      }
+      if (event.type === 'result') {
+        resultLine = line;
+      } else if (parser && event.type === 'stream_event' && event.event &&
+                 event.event.type === 'content_block_delta' &&
+                 event.event.delta && event.event.delta.type === deltaType) {
+        parser.push(event.event.delta.text || event.event.delta.partial_json || '');
+      }
+    };
 
-    proc.stdout.on('data', (chunk) => { stdout += chunk; });
+    proc.stdout.on('data', (chunk) => {
+      pending += chunk;
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      lines.forEach(handleLine);
+    });
     proc.stderr.on('data', (chunk) => { stderr += chunk; });
 
-    // Pipe user prompt via stdin, then close to signal EOF
-    proc.stdin.write(userPrompt);
+    // Send the user message (text and images) as one stream-json line,
+    // then close stdin to signal EOF
+    proc.stdin.write(JSON.stringify({ type: 'user', message: { role: 'user', content: userContent } }) + '\n');
     proc.stdin.end();
 
     const timeout = setTimeout(() => {
+      timedOut = true;
       proc.kill();
-      reject(new Error('claude process timed out after 60s'));
-    }, 60000);
+      metrics.timeouts++;
+      reject(new Error(`claude process timed out after ${CONFIG.timeout}s`));
+    }, CLASSIFY_TIMEOUT_MS);
 
-    proc.on('close', (code) => {
+    entry.closed.then(({ code, error }) => {
       clearTimeout(timeout);
+      // The kill above already rejected; its exit code is ours, not claude's
+      if (timedOut) return;
+      handleLine(pending);
+
+      if (error) {
+        reject(new Error(`Failed to spawn claude: ${error.message}`));
+        return;
+      }
 
       if (code !== 0) {
+        metrics.nonZeroExits++;
         reject(new Error(`claude exited with code ${code}: ${stderr}`));
         return;
       }
 
+      if (!resultLine) {
+        metrics.parseFailures++;
+        reject(new Error('claude produced no result event'));
+        return;
+      }
+
       try {
-        const verdicts = parseClaudeOutput(stdout);
+        const verdicts = parseClaudeOutput(resultLine);
         resolve(verdicts);
       } catch (e) {
-        reject(new Error(`Failed to parse claude output: ${e.message}\nRaw: ${stdout.slice(0, 500)}`));
+        metrics.parseFailures++;
+        reject(new MalformedOutputError(`Failed to parse claude output: ${e.message}\nRaw: ${resultLine.slice(0, 500)}`));
       }
     });
+  });
+}
+
+// -------------------------------------------------------------------
+// Classifier backends
+//
+// Every backend exposes the same interface:
+//
+//   classify({ tweets, userPrompt, userContent, systemPrompt, model, clientId }, onVerdict)
+//     -> Promise<verdict[]>
+//   stats() -> object | null   (optional, reported on /metrics)
+//   images: boolean            (whether it reads the images in userContent)
+//
+// `userPrompt` is the batch as text; `userContent` is the same batch as
+// Anthropic content blocks with each tweet's images after its text. The
+// images are only downloaded for backends with `images` set.
+// `systemPrompt` is assembled from the request's prompt modules and
+// personal rules; `model` is the model the extension asked for (null for
+// the configured one); `clientId` identifies the caller for fair
+// queueing. Backends may ignore any of these.
+// `onVerdict` is optional and fires per tweet as verdicts are parsed.
+// The promise resolves with the full verdict array or rejects on any
+// failure, so the route handlers fail closed the same way for all of
+// them.
+// -------------------------------------------------------------------
+function createClaudeBackend() {
+  const pool = new ProcessPool(POOL_SIZE, {
+    maxConcurrent: MAX_CONCURRENT,
+    maxQueue: MAX_QUEUE,
+    queueTimeoutMs: QUEUE_TIMEOUT_MS,
+  });
+  return {
+    name: 'claude',
+    images: true,
+    classify: (request, onVerdict) => classifyWithClaude(pool, request, onVerdict),
+    stats: () => pool.stats(),
+  };
+}
+
+// OpenAI-compatible chat completions — llama.cpp's server, Ollama's /v1,
+// vLLM, LM Studio and hosted APIs all speak this protocol. Responses are
+// requested as SSE so verdicts stream like they do from the CLI; servers
+// that ignore `stream` and answer with plain JSON are handled too.
+// With --json-schema the output is constrained by `response_format`
+// (llama.cpp and vLLM turn it into a grammar).
+function createOpenAIBackend() {
+  const endpoint = OPENAI_URL.replace(/\/+$/, '') + '/chat/completions';
+  const headers = { 'Content-Type': 'application/json' };
+  if (OPENAI_API_KEY) headers.Authorization = `Bearer ${OPENAI_API_KEY}`;
+
+  async function classify({ userPrompt, userContent, systemPrompt }, onVerdict) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CLASSIFY_TIMEOUT_MS);
+    const parser = onVerdict ? new VerdictStreamParser(onVerdict, CONFIG.jsonSchema ? 2 : 1) : null;
+    const responseFormat = CONFIG.jsonSchema
+      ? { type: 'json_schema', json_schema: { name: 'record_verdicts', schema: VERDICTS_JSON_SCHEMA } }
+      : undefined;
 
-    proc.on('error', (err) => {
+    try {
+      let response;
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers,
+          signal: controller.signal,
+          body: JSON.stringify({
+            model: OPENAI_MODEL || undefined,
+            stream: true,
+            temperature: 0,
+            messages: [
+              { role: 'system', content: systemPrompt },
+              { role: 'user', content: OPENAI_IMAGES ? toOpenAIContent(userContent) : userPrompt },
+            ],
+            response_format: responseFormat,
+          }),
+        });
+      } catch (e) {
+        if (controller.signal.aborted) {
+          metrics.timeouts++;
+          throw new Error(`openai backend timed out after ${CONFIG.timeout}s`);
+        }
+        throw new Error(`openai backend request failed: ${e.message}`);
+      }
+
+      if (!response.ok) {
+        const errorBody = await response.text().catch(() => '');
+        throw new Error(`openai backend returned ${response.status}: ${errorBody.slice(0, 500)}`);
+      }
+
+      let text = '';
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType.includes('text/event-stream')) {
+        const decoder = new TextDecoder();
+        let pending = '';
+        for await (const chunk of response.body) {
+          pending += decoder.decode(chunk, { stream: true });
+          const lines = pending.split('\n');
+          pending = lines.pop();
+          for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const data = line.slice(5).trim();
+            if (!data || data === '[DONE]') continue;
+            let event;
+            try {
+              event = JSON.parse(data);
+            } catch (e) {
+              continue;
+            }
+            const delta = event.choices && event.choices[0] && event.choices[0].delta;
+            if (delta && typeof delta.content === 'string') {
+              text += delta.content;
+              if (parser) parser.push(delta.content);
+            }
+          }
+        }
+      } else {
+        const body = await response.json();
+        const message = body.choices && body.choices[0] && body.choices[0].message;
+        text = (message && message.content) || '';
+        if (parser) parser.push(text);
+      }
+
+      try {
+        const output = parseVerdictText(text);
+        if (!CONFIG.jsonSchema) return output;
+        const verdicts = unwrapVerdicts(output);
+        if (!verdicts) throw new Error('no verdicts array');
+        return verdicts;
+      } catch (e) {
+        metrics.parseFailures++;
+        throw new MalformedOutputError(`Failed to parse openai backend output: ${e.message}\nRaw: ${text.slice(0, 500)}`);
+      }
+    } finally {
       clearTimeout(timeout);
-      reject(new Error(`Failed to spawn claude: ${err.message}`));
+    }
+  }
+
+  return { name: 'openai', images: OPENAI_IMAGES, classify };
+}
+
+// Anthropic content blocks -> OpenAI chat content parts, with images
+// inlined as data URLs
+function toOpenAIContent(blocks) {
+  return blocks.map((block) => (block.type === 'image'
+    ? { type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } }
+    : { type: 'text', text: block.text }));
+}
+
+// Scripted stub for tests and offline development. With
+// XSHIELD_STUB_RESPONSE set, the file is re-read on every request and
+// parsed as raw model output, so a test can swap responses between
+// requests; otherwise every tweet is shown.
+function createStubBackend() {
+  async function classify({ tweets }, onVerdict) {
+    let verdicts;
+    if (STUB_RESPONSE_FILE) {
+      const raw = await fs.promises.readFile(STUB_RESPONSE_FILE, 'utf8');
+      try {
+        verdicts = parseVerdictText(raw);
+      } catch (e) {
+        metrics.parseFailures++;
+        throw new MalformedOutputError(`Failed to parse stub response: ${e.message}`);
+      }
+    } else {
+      verdicts = tweets.map((t, i) => ({ id: `tweet_${i}`, verdict: 'show', reason: 'stub backend' }));
+    }
+    if (onVerdict && Array.isArray(verdicts)) verdicts.forEach((v) => v && onVerdict(v));
+    return verdicts;
+  }
+
+  return { name: 'stub', images: false, classify };
+}
+
+const BACKENDS = {
+  claude: createClaudeBackend,
+  openai: createOpenAIBackend,
+  stub: createStubBackend,
+};
+
+if (!BACKENDS[BACKEND]) {
+  console.error(`[X-Shield Server] Unknown backend "${BACKEND}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  process.exit(1);
+}
+
+const backend = BACKENDS[BACKEND]();
+console.log(`[X-Shield Server] Using ${backend.name} backend`);
+
+// -------------------------------------------------------------------
+// Persistent verdict cache
+//
+// Keyed by a SHA-256 of the prompt version and the tweet content, so a
+// prompt update starts from a cold cache. Entries expire after
+// CACHE_TTL_MS and the oldest are evicted past CACHE_MAX_ENTRIES. The
+// whole map is held in memory and written back to disk (atomically,
+// via a temp file) at most every CACHE_FLUSH_INTERVAL_MS.
+// -------------------------------------------------------------------
+class VerdictCache {
+  constructor(file, { ttlMs, maxEntries }) {
+    this._file = file;
+    this._ttlMs = ttlMs;
+    this._maxEntries = maxEntries;
+    this._entries = new Map();
+    this._dirty = false;
+    this._hits = 0;
+    this._misses = 0;
+    this._load();
+  }
+
+  // `promptKey` describes the user's prompt modules, personal rules and
+  // model (see classifyTweets), so different prompts don't share verdicts
+  static key(tweet, promptKey = '') {
+    return crypto.createHash('sha256')
+      .update(`${CLASSIFICATION_PROMPT_VERSION}\n${promptKey}\n${tweet.text || ''}\n${imageUrlsOf(tweet).join(',')}\n${contextOf(tweet)}` +
+        (tweet.distill === true ? '\ndistill' : ''))
+      .digest('hex');
+  }
+
+  _load() {
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(this._file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.error('[X-Shield Server] Ignoring unreadable verdict cache:', e.message);
+      }
+      return;
+    }
+
+    // Map preserves insertion order, so entries are kept oldest first
+    const now = Date.now();
+    const entries = Object.entries(stored.entries || {})
+      .filter(([, entry]) => entry && now - entry.timestamp <= this._ttlMs)
+      .sort((a, b) => a[1].timestamp - b[1].timestamp);
+    for (const [key, entry] of entries) this._entries.set(key, entry);
+    this._evict();
+    console.log(`[X-Shield Server] Loaded ${this._entries.size} cached verdicts`);
+  }
+
+  get(key) {
+    const entry = this._entries.get(key);
+    if (entry && Date.now() - entry.timestamp > this._ttlMs) {
+      this._entries.delete(key);
+      this._dirty = true;
+    } else if (entry) {
+      this._hits++;
+      return entry.verdict;
+    }
+    this._misses++;
+    return null;
+  }
+
+  set(key, verdict) {
+    this._entries.delete(key);
+    this._entries.set(key, { verdict, timestamp: Date.now() });
+    this._evict();
+    this._dirty = true;
+  }
+
+  _evict() {
+    for (const key of this._entries.keys()) {
+      if (this._entries.size <= this._maxEntries) break;
+      this._entries.delete(key);
+      this._dirty = true;
+    }
+  }
+
+  purge() {
+    const removed = this._entries.size;
+    this._entries.clear();
+    this._hits = 0;
+    this._misses = 0;
+    this._dirty = true;
+    return removed;
+  }
+
+  stats() {
+    let oldest = null;
+    for (const entry of this._entries.values()) {
+      oldest = entry.timestamp;
+      break;
+    }
+    const lookups = this._hits + this._misses;
+    return {
+      entries: this._entries.size,
+      maxEntries: this._maxEntries,
+      ttlSeconds: Math.round(this._ttlMs / 1000),
+      hits: this._hits,
+      misses: this._misses,
+      hitRate: lookups > 0 ? this._hits / lookups : 0,
+      oldestEntry: oldest ? new Date(oldest).toISOString() : null,
+      file: this._file,
+    };
+  }
+
+  _serialize() {
+    return JSON.stringify({ entries: Object.fromEntries(this._entries) });
+  }
+
+  async flush() {
+    if (!this._dirty) return;
+    this._dirty = false;
+    const tmp = `${this._file}.${process.pid}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(this._file), { recursive: true });
+      await fs.promises.writeFile(tmp, this._serialize());
+      await fs.promises.rename(tmp, this._file);
+    } catch (e) {
+      this._dirty = true;
+      console.error('[X-Shield Server] Failed to write verdict cache:', e.message);
+    }
+  }
+
+  flushSync() {
+    if (!this._dirty) return;
+    try {
+      fs.mkdirSync(path.dirname(this._file), { recursive: true });
+      fs.writeFileSync(this._file, this._serialize());
+      this._dirty = false;
+    } catch (e) {
+      console.error('[X-Shield Server] Failed to write verdict cache:', e.message);
+    }
+  }
+}
+
+const verdictCache = new VerdictCache(CACHE_FILE, {
+  ttlMs: CACHE_TTL_MS,
+  maxEntries: CACHE_MAX_ENTRIES,
+});
+
+setInterval(() => verdictCache.flush(), CACHE_FLUSH_INTERVAL_MS).unref();
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    verdictCache.flushSync();
+    process.exit(0);
+  });
+}
+
+// -------------------------------------------------------------------
+// Classify a batch — cache lookups first, then backend calls for the
+// misses. Each backend call sees a sub-batch, so its ids are mapped back
+// to each tweet's position in the original batch before being returned,
+// streamed or cached. Verdicts that fail schema validation are re-asked
+// (see classifyWithRepair) and never streamed, cached or returned.
+//
+// `promptModules` is the extension's map of module id -> enabled and
+// `personalRules` the user's own rules; the system prompt is assembled
+// from both. `model` picks the backend's model. Verdicts are cached per
+// combination of all three.
+// -------------------------------------------------------------------
+async function classifyTweets({ tweets, clientId, promptModules, personalRules, model }, onVerdict) {
+  const systemPrompt = buildClassificationPrompt(promptModules, personalRules);
+  const promptKey = `${classificationPromptKey(promptModules, personalRules)};model:${model || ''}`;
+  const verdicts = new Array(tweets.length).fill(null);
+  const misses = [];
+
+  tweets.forEach((tweet, i) => {
+    const cached = verdictCache.get(VerdictCache.key(tweet, promptKey));
+    if (cached) {
+      verdicts[i] = { id: `tweet_${i}`, ...cached };
+      if (onVerdict) onVerdict(verdicts[i]);
+    } else {
+      misses.push(i);
+    }
+  });
+
+  if (misses.length === 0) return verdicts;
+
+  // Downloaded once, then reused by any repair calls. A backend that
+  // doesn't look at images only needs to know how many there are.
+  const missImages = await Promise.all(misses.map((i) => (backend.images
+    ? loadTweetImages(tweets[i])
+    : imageUrlsOf(tweets[i]).map(() => null))));
+
+  // `positions` index into `misses`; the backend calls them tweet_0..n
+  const classifyOnce = async (positions) => {
+    const batch = positions.map((p) => tweets[misses[p]]);
+    const images = positions.map((p) => missImages[p]);
+    const streamVerdict = onVerdict && ((verdict) => {
+      if (verdictError(verdict, batch.length)) return;
+      const index = misses[positions[Number(verdict.id.slice('tweet_'.length))]];
+      onVerdict({ ...verdict, id: `tweet_${index}` });
     });
+
+    metrics.batchesInFlight++;
+    const started = process.hrtime.bigint();
+    let busy = false;
+    try {
+      const output = await backend.classify(
+        {
+          tweets: batch,
+          userPrompt: buildUserPrompt(batch, images),
+          userContent: buildUserContent(batch, images),
+          systemPrompt,
+          model,
+          clientId,
+        },
+        streamVerdict
+      );
+      metrics.batchSeconds.observe(Number(process.hrtime.bigint() - started) / 1e9);
+      return output;
+    } catch (e) {
+      // Turned away by the pool before reaching the backend; counted
+      // under queue rejections only
+      busy = e instanceof ServerBusyError;
+      if (busy) throw e;
+      metrics.batchErrors++;
+      if (e instanceof MalformedOutputError) {
+        console.error('[X-Shield Server]', e.message);
+        return null;
+      }
+      throw e;
+    } finally {
+      metrics.batchesInFlight--;
+      if (!busy) {
+        metrics.batches++;
+        metrics.tweets += batch.length;
+      }
+    }
+  };
+
+  const onRepair = (positions, errors) => {
+    metrics.repairs++;
+    metrics.repairedTweets += positions.length;
+    console.log(`[X-Shield Server] Re-asking for ${positions.length} invalid verdicts: ${[...new Set(errors)].join('; ')}`);
+  };
+
+  const repaired = await classifyWithRepair(misses.length, classifyOnce, onRepair);
+  repaired.forEach((verdict, p) => {
+    if (!verdict) return;
+    const index = misses[p];
+    verdicts[index] = { ...verdict, id: `tweet_${index}` };
+    const { id, ...stored } = verdicts[index];
+    verdictCache.set(VerdictCache.key(tweets[index], promptKey), stored);
   });
+
+  // Tweets with no verdict are left out; the extension fails them closed
+  return verdicts.filter(Boolean);
 }
 
 // -------------------------------------------------------------------
-// HTTP request body reader
+// Metrics snapshot and Prometheus text rendering
 // -------------------------------------------------------------------
-const MAX_BODY_BYTES = 1024 * 1024; // 1MB
+function histogramSnapshot(hist) {
+  return {
+    buckets: hist.buckets.map((le, i) => ({ le, count: hist.counts[i] })),
+    sum: hist.sum,
+    count: hist.count,
+  };
+}
+
+function metricsSnapshot() {
+  return {
+    backend: backend.name,
+    pool: backend.stats ? backend.stats() : null,
+    batches: {
+      total: metrics.batches,
+      inFlight: metrics.batchesInFlight,
+      errors: metrics.batchErrors,
+      tweets: metrics.tweets,
+    },
+    latencySeconds: histogramSnapshot(metrics.batchSeconds),
+    queueSeconds: histogramSnapshot(metrics.queueSeconds),
+    serviceSeconds: histogramSnapshot(metrics.serviceSeconds),
+    timeouts: metrics.timeouts,
+    nonZeroExits: metrics.nonZeroExits,
+    parseFailures: metrics.parseFailures,
+    repairs: { calls: metrics.repairs, tweets: metrics.repairedTweets },
+    images: { loaded: metrics.imagesLoaded, failed: metrics.imageFailures },
+    cache: verdictCache.stats(),
+  };
+}
+
+function renderPrometheus(snapshot) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) lines.push(`${name}${labels} ${value}`);
+  };
+
+  if (snapshot.pool) {
+    metric('xshield_pool_size', 'gauge', 'Configured number of warm claude processes', [['', snapshot.pool.size]]);
+    metric('xshield_pool_warm', 'gauge', 'Warm claude processes waiting for a request', [['', snapshot.pool.warm]]);
+    metric('xshield_process_spawns_total', 'counter', 'claude processes spawned', [
+      ['{kind="warm"}', snapshot.pool.warmSpawns],
+      ['{kind="on_demand"}', snapshot.pool.onDemandSpawns],
+    ]);
+    metric('xshield_pool_active', 'gauge', 'claude processes classifying a batch', [['', snapshot.pool.active]]);
+    metric('xshield_pool_max_concurrent', 'gauge', 'Configured limit on concurrent claude processes', [['', snapshot.pool.maxConcurrent]]);
+    metric('xshield_queue_depth', 'gauge', 'Requests waiting for a claude process', [['', snapshot.pool.queued]]);
+    metric('xshield_queue_rejections_total', 'counter', 'Requests turned away by backpressure', [
+      ['{reason="full"}', snapshot.pool.rejectedFull],
+      ['{reason="timeout"}', snapshot.pool.rejectedTimeout],
+    ]);
+  }
+  metric('xshield_batches_total', 'counter', 'Batches sent to the classifier backend', [['', snapshot.batches.total]]);
+  metric('xshield_batches_in_flight', 'gauge', 'Batches currently being classified', [['', snapshot.batches.inFlight]]);
+  metric('xshield_batch_errors_total', 'counter', 'Batches that failed (and were failed closed)', [['', snapshot.batches.errors]]);
+  metric('xshield_tweets_total', 'counter', 'Tweets sent to the classifier backend', [['', snapshot.batches.tweets]]);
+  metric('xshield_timeouts_total', 'counter', 'Classifier calls that timed out', [['', snapshot.timeouts]]);
+  metric('xshield_nonzero_exits_total', 'counter', 'claude processes that exited with a non-zero code', [['', snapshot.nonZeroExits]]);
+  metric('xshield_parse_failures_total', 'counter', 'Classifier outputs that could not be parsed', [['', snapshot.parseFailures]]);
+  metric('xshield_repair_calls_total', 'counter', 'Backend calls re-asking for invalid verdicts', [['', snapshot.repairs.calls]]);
+  metric('xshield_repaired_tweets_total', 'counter', 'Tweets re-asked because their verdict was invalid', [['', snapshot.repairs.tweets]]);
+  metric('xshield_images_total', 'counter', 'Tweet images downloaded for the model', [
+    ['{result="loaded"}', snapshot.images.loaded],
+    ['{result="failed"}', snapshot.images.failed],
+  ]);
 
+  const histogram = (name, help, hist) => metric(name, 'histogram', help, [
+    ...hist.buckets.map((b) => [`_bucket{le="${b.le}"}`, b.count]),
+    ['_bucket{le="+Inf"}', hist.count],
+    ['_sum', hist.sum],
+    ['_count', hist.count],
+  ]);
+  histogram('xshield_batch_duration_seconds', 'Time the backend took to classify a batch (successful calls)', snapshot.latencySeconds);
+  histogram('xshield_queue_wait_seconds', 'Time a batch waited for a free claude process', snapshot.queueSeconds);
+  histogram('xshield_service_duration_seconds', 'Time a claude process took to classify a batch (successful calls)', snapshot.serviceSeconds);
+
+  metric('xshield_cache_entries', 'gauge', 'Verdicts in the persistent cache', [['', snapshot.cache.entries]]);
+  metric('xshield_cache_lookups_total', 'counter', 'Verdict cache lookups', [
+    ['{result="hit"}', snapshot.cache.hits],
+    ['{result="miss"}', snapshot.cache.misses],
+  ]);
+
+  return lines.join('\n') + '\n';
+}
+
+// -------------------------------------------------------------------
+// HTTP request body reader
+// -------------------------------------------------------------------
 function readBody(req) {
   return new Promise((resolve, reject) => {
     const chunks = [];
@@ -189,69 +1224,395 @@ function readBody(req) {
 }
 
 // -------------------------------------------------------------------
-// CORS headers
+// Pairing token
+//
+// Generated on first run and stored with owner-only permissions. The
+// extension must send it on every request (X-Shield-Token header, or
+// Authorization: Bearer for tools like curl), so a web page open in the
+// browser cannot spend the Claude quota through 127.0.0.1. The token
+// itself is printed only when it is generated, so it doesn't end up in
+// every log; after that the startup message points at the file.
+// -------------------------------------------------------------------
+function loadOrCreatePairingToken() {
+  try {
+    const existing = fs.readFileSync(TOKEN_FILE, 'utf8').trim();
+    if (existing) return { token: existing, created: false };
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  fs.mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(TOKEN_FILE, token + '\n', { mode: 0o600 });
+  console.log(`[X-Shield Server] Generated a new pairing token in ${TOKEN_FILE}`);
+  return { token, created: true };
+}
+
+const { token: PAIRING_TOKEN, created: PAIRING_TOKEN_CREATED } = loadOrCreatePairingToken();
+
+function hasValidToken(req) {
+  let provided = req.headers['x-shield-token'] || '';
+  const auth = req.headers.authorization || '';
+  if (!provided && auth.startsWith('Bearer ')) provided = auth.slice(7).trim();
+
+  const expected = Buffer.from(PAIRING_TOKEN);
+  const actual = Buffer.from(String(provided));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function isAllowedOrigin(origin) {
+  if (ALLOWED_ORIGINS.length > 0) return ALLOWED_ORIGINS.includes(origin);
+  return origin.startsWith('chrome-extension://');
+}
+
+// -------------------------------------------------------------------
+// Headers sent on every response: CORS (the allowed origin is echoed
+// back per request) and the prompt version behind any verdicts
 // -------------------------------------------------------------------
-const CORS_HEADERS = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
+const COMMON_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, X-Shield-Token, X-Shield-Client, Authorization',
+  'Access-Control-Expose-Headers': 'X-Shield-Prompt-Version',
+  'X-Shield-Prompt-Version': CLASSIFICATION_PROMPT_VERSION,
+  'Vary': 'Origin',
 };
 
+// -------------------------------------------------------------------
+// Tweet images
+//
+// The extension sends the URLs of each tweet's photos (and video
+// posters). They are downloaded here, only from X's media host, and
+// handed to the model inline; one that can't be downloaded is noted in
+// the prompt so the model knows it is judging without it.
+// -------------------------------------------------------------------
+const IMAGE_HOSTS = ['pbs.twimg.com'];
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_IMAGES_PER_TWEET = 4;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const IMAGE_FETCH_TIMEOUT_MS = 10000;
+
+function imageUrlsOf(tweet) {
+  if (!Array.isArray(tweet.imageUrls)) return [];
+  return tweet.imageUrls.filter((url) => typeof url === 'string').slice(0, MAX_IMAGES_PER_TWEET);
+}
+
+// Resolves { mediaType, data } (base64) or null
+async function fetchImage(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'https:' || !IMAGE_HOSTS.includes(parsed.hostname)) return null;
+
+    const response = await fetch(parsed, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+    const mediaType = (response.headers.get('content-type') || '').split(';')[0].trim();
+    if (!response.ok || !IMAGE_TYPES.includes(mediaType)) return null;
+
+    // Oversized images are turned away before they are buffered: by
+    // their declared length, or once the bytes read pass the limit
+    // (leaving the loop cancels the download)
+    if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+      response.body.cancel().catch(() => {});
+      return null;
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > MAX_IMAGE_BYTES) return null;
+      chunks.push(chunk);
+    }
+    return { mediaType, data: Buffer.concat(chunks).toString('base64') };
+  } catch (e) {
+    return null;
+  }
+}
+
+async function loadTweetImages(tweet) {
+  const images = await Promise.all(imageUrlsOf(tweet).map(fetchImage));
+  for (const image of images) {
+    if (image) metrics.imagesLoaded++;
+    else metrics.imageFailures++;
+  }
+  return images;
+}
+
+// -------------------------------------------------------------------
+// Build the user prompt from a batch of tweets. `images[i]` holds the
+// loaded images of tweets[i] (null where one couldn't be downloaded).
+//
+// A reply carries the tweet it answers as `context`. Each distinct
+// context is written once, before the tweets, as a [context_N] section
+// the model reads but doesn't classify.
+// -------------------------------------------------------------------
+const MAX_CONTEXT_CHARS = 2000;
+
+function contextOf(tweet) {
+  return typeof tweet.context === 'string' ? tweet.context.slice(0, MAX_CONTEXT_CHARS) : '';
+}
+
+// Map of context text -> label, plus the sections introducing them
+function batchContexts(tweets) {
+  const labels = new Map();
+  for (const t of tweets) {
+    const context = contextOf(t);
+    if (context && !labels.has(context)) labels.set(context, `context_${labels.size}`);
+  }
+  const sections = [...labels].map(([context, label]) => `[${label}] (context only — do not classify)\n${context}`);
+  return { labels, sections };
+}
+
+function tweetPromptText(tweet, i, images, labels) {
+  const context = contextOf(tweet);
+  const notes = [];
+  if (context) notes.push(`reply to ${labels.get(context)}`);
+  if (tweet.distill === true) notes.push('always distill');
+  let text = `[tweet_${i}]${notes.length ? ` (${notes.join('; ')})` : ''}\n${tweet.text || '[no text]'}`;
+  const missing = images.filter((image) => !image).length;
+  if (missing > 0) text += `\n[${missing} attached image${missing === 1 ? '' : 's'} could not be loaded]`;
+  return text;
+}
+
+// Text only, for backends that don't take images
+function buildUserPrompt(tweets, images) {
+  const { labels, sections } = batchContexts(tweets);
+  return [...sections, ...tweets.map((t, i) => {
+    const count = images[i].length;
+    const text = tweetPromptText(t, i, [], labels);
+    return count > 0 ? `${text}\n[${count} attached image${count === 1 ? '' : 's'} not shown]` : text;
+  })].join('\n\n');
+}
+
+function buildUserContent(tweets, images) {
+  const { labels, sections } = batchContexts(tweets);
+  const blocks = sections.map((text) => ({ type: 'text', text }));
+  tweets.forEach((t, i) => {
+    blocks.push({ type: 'text', text: tweetPromptText(t, i, images[i], labels) });
+    for (const image of images[i]) {
+      if (!image) continue;
+      blocks.push({ type: 'image', source: { type: 'base64', media_type: image.mediaType, data: image.data } });
+    }
+  });
+  return blocks;
+}
+
+// Backpressure errors keep their 429/503 status and Retry-After so the
+// extension backs off; anything else is a 500.
+function writeClassificationError(res, e) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (e.retryAfter) headers['Retry-After'] = String(e.retryAfter);
+  res.writeHead(e.status || 500, headers);
+  res.end(JSON.stringify({ error: e.message }));
+}
+
+// -------------------------------------------------------------------
+// Streaming classification — NDJSON response
+//
+// Each line is one JSON object:
+//   {"verdict": {...}}            as soon as a tweet's verdict is parsed
+//   {"done": true, "verdicts": [...]}  when the model finishes
+//   {"error": "...", "retryAfter": 5}  if classification fails
+// The status code is sent with the first line, so a request rejected
+// before any verdict (e.g. by the queue) gets a real 429/503. Failures
+// after that point are reported in-band and the client fails closed.
+// -------------------------------------------------------------------
+async function streamClassification(res, request) {
+  const emitted = new Set();
+  const writeLine = (obj) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'application/x-ndjson',
+        'Cache-Control': 'no-cache',
+      });
+    }
+    res.write(JSON.stringify(obj) + '\n');
+  };
+
+  try {
+    const verdicts = await classifyTweets(request, (verdict) => {
+      if (typeof verdict.id !== 'string' || emitted.has(verdict.id)) return;
+      emitted.add(verdict.id);
+      writeLine({ verdict });
+    });
+    writeLine({ done: true, verdicts });
+  } catch (e) {
+    console.error('[X-Shield Server] Classification error:', e.message);
+    if (!res.headersSent) {
+      writeClassificationError(res, e);
+      return;
+    }
+    writeLine(e.retryAfter ? { error: e.message, retryAfter: e.retryAfter } : { error: e.message });
+  }
+  res.end();
+}
+
 // -------------------------------------------------------------------
 // HTTP Server
 // -------------------------------------------------------------------
 const server = http.createServer(async (req, res) => {
+  // Browsers always send Origin on cross-origin requests; reject any
+  // that don't come from an allowed origin before doing anything else
+  const origin = req.headers.origin;
+  if (origin && !isAllowedOrigin(origin)) {
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Origin not allowed' }));
+    return;
+  }
+
+  for (const [name, value] of Object.entries(COMMON_HEADERS)) res.setHeader(name, value);
+  if (origin) res.setHeader('Access-Control-Allow-Origin', origin);
+
   // CORS preflight
   if (req.method === 'OPTIONS') {
-    res.writeHead(204, CORS_HEADERS);
+    res.writeHead(204);
     res.end();
     return;
   }
 
-  // Health check
-  if (req.method === 'GET' && req.url === '/health') {
-    res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'ok' }));
+  const { pathname, searchParams } = new URL(req.url, `http://${HOST}`);
+
+  // Health check — unauthenticated so the popup can tell "server down"
+  // apart from "not paired"
+  if (req.method === 'GET' && pathname === '/health') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      status: 'ok',
+      backend: backend.name,
+      paired: hasValidToken(req),
+      promptVersion: CLASSIFICATION_PROMPT_VERSION,
+    }));
     return;
   }
 
-  // Classification endpoint
-  if (req.method === 'POST' && req.url === '/classify') {
-    try {
-      const body = await readBody(req);
-      const tweets = JSON.parse(body);
+  if (!hasValidToken(req)) {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Missing or invalid pairing token' }));
+    return;
+  }
 
-      if (!Array.isArray(tweets) || tweets.length === 0) {
-        res.writeHead(400, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Expected non-empty array of tweets' }));
-        return;
+  // Classification endpoints — /classify answers once the whole batch is
+  // done; /classify/stream sends NDJSON lines as each verdict arrives.
+  // The body is { tweets, promptModules, personalRules, model } or, from
+  // older extensions, just the array of tweets (default prompt, no rules).
+  if (req.method === 'POST' && (pathname === '/classify' || pathname === '/classify/stream')) {
+    let tweets;
+    let promptModules;
+    let personalRules;
+    let model;
+    try {
+      const body = JSON.parse(await readBody(req));
+      if (Array.isArray(body)) {
+        tweets = body;
+      } else {
+        tweets = body && body.tweets;
+        promptModules = body && body.promptModules;
+        personalRules = body && body.personalRules;
+        model = body && body.model;
       }
+    } catch (e) {
+      console.error('[X-Shield Server] Bad classification request:', e.message);
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: e.message }));
+      return;
+    }
 
-      // Build user prompt from tweets
-      const parts = tweets.map((t, i) =>
-        `[tweet_${i}]\n${t.text || '[no text]'}`
-      );
-      const userPrompt = parts.join('\n\n');
+    if (!Array.isArray(tweets) || tweets.length === 0) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Expected non-empty array of tweets' }));
+      return;
+    }
 
-      console.log(`[X-Shield Server] Classifying batch of ${tweets.length} tweets`);
+    if (!tweets.every((t) => t && typeof t === 'object' && !Array.isArray(t) && typeof t.text === 'string')) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Each tweet must be an object with a string text' }));
+      return;
+    }
+
+    if (promptModules !== undefined &&
+        (!promptModules || typeof promptModules !== 'object' || Array.isArray(promptModules))) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'promptModules must be an object of module id -> boolean' }));
+      return;
+    }
+
+    if (personalRules !== undefined && !Array.isArray(personalRules)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'personalRules must be an array of strings' }));
+      return;
+    }
+
+    // A model name or CLI alias; it ends up on the claude command line
+    if (model !== undefined && model !== null && !(typeof model === 'string' && MODEL_NAME_RE.test(model))) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'model must be a model name such as "haiku" or "claude-sonnet-4-20250514"' }));
+      return;
+    }
+
+    // The extension sends its tab id so the queue can be fair across tabs
+    const clientId = String(req.headers['x-shield-client'] || req.socket.remoteAddress);
+    const request = { tweets, clientId, promptModules, personalRules, model: model || null };
+
+    console.log(`[X-Shield Server] Classifying batch of ${tweets.length} tweets`);
+
+    if (pathname === '/classify/stream') {
+      await streamClassification(res, request);
+      return;
+    }
 
-      const verdicts = await classifyWithClaude(userPrompt);
+    try {
+      const verdicts = await classifyTweets(request, null);
 
-      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ verdicts }));
     } catch (e) {
       console.error('[X-Shield Server] Classification error:', e.message);
-      res.writeHead(500, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: e.message }));
+      writeClassificationError(res, e);
+    }
+    return;
+  }
+
+  // Verdict cache admin — GET for stats, DELETE to purge
+  if (pathname === '/cache' && (req.method === 'GET' || req.method === 'DELETE')) {
+    let body;
+    if (req.method === 'DELETE') {
+      const purged = verdictCache.purge();
+      await verdictCache.flush();
+      console.log(`[X-Shield Server] Purged ${purged} cached verdicts`);
+      body = { purged, ...verdictCache.stats() };
+    } else {
+      body = verdictCache.stats();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+    return;
+  }
+
+  // Operational metrics — Prometheus text by default, JSON with
+  // ?format=json or an Accept: application/json header
+  if (req.method === 'GET' && pathname === '/metrics') {
+    const snapshot = metricsSnapshot();
+    const wantsJson = searchParams.get('format') === 'json' ||
+      (req.headers.accept || '').includes('application/json');
+    if (wantsJson) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(snapshot));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(renderPrometheus(snapshot));
     }
     return;
   }
 
   // 404 for everything else
-  res.writeHead(404, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.writeHead(404, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({ error: 'Not found' }));
 });
 
 server.listen(PORT, HOST, () => {
   console.log(`[X-Shield Server] Listening on http://${HOST}:${PORT}`);
+  console.log(`[X-Shield Server] Prompt version: ${CLASSIFICATION_PROMPT_VERSION}`);
+  if (PAIRING_TOKEN_CREATED) {
+    console.log(`[X-Shield Server] Pairing token: ${PAIRING_TOKEN}`);
+    console.log('[X-Shield Server] Paste it into the X-Shield popup under "Claude Code" to pair the extension');
+  } else {
+    console.log(`[X-Shield Server] Pairing token: see ${TOKEN_FILE}`);
+  }
 });
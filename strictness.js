@@ -0,0 +1,28 @@
+// Shared strictness setting — how borderline verdicts are shown.
+// Used by background.js (importScripts, for stats and the log),
+// popup.html (the slider's levels) and content.js (loaded before it),
+// which applies it when a verdict is displayed, so cached verdicts
+// follow a changed setting.
+// Uses `var` for importScripts compatibility with service workers.
+
+/* eslint-disable no-var */
+
+// Verdicts below this confidence are "borderline" for the strictness
+// setting. The model adds a distilled rewrite to borderline shows and
+// filters so they can be turned into a distill.
+var LOW_CONFIDENCE = 0.6;
+var STRICTNESS_LEVELS = ['lenient', 'balanced', 'strict'];
+
+// Lenient distills borderline filters; strict distills borderline
+// shows. Without a rewrite to show, the verdict stands. Never applied
+// to what is cached, so changing the setting takes effect straight away.
+function applyStrictness(entry, strictness) {
+  if (entry.confidence == null || entry.confidence >= LOW_CONFIDENCE || !entry.distilled) return entry;
+
+  if ((strictness === 'lenient' && entry.verdict === 'block') ||
+      (strictness === 'strict' && entry.verdict === 'allow')) {
+    const was = entry.verdict === 'block' ? 'filter' : 'show';
+    return { ...entry, verdict: 'distill', reason: `${entry.reason} (borderline ${was}, distilled: ${strictness})` };
+  }
+  return entry;
+}
@@ -6,5 +6,5 @@
 
 'use strict';
 
-const prompt = require('../system-prompt.js');
-process.stdout.write(prompt);
+const { CLASSIFICATION_SYSTEM_PROMPT } = require('../system-prompt.js');
+process.stdout.write(CLASSIFICATION_SYSTEM_PROMPT);
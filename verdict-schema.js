@@ -0,0 +1,158 @@
+// Shared verdict schema and repair loop — single source of truth for
+// what a usable model verdict looks like.
+// Used by server.js (Node.js require) and background.js (importScripts).
+// Uses `var` for importScripts compatibility with service workers.
+
+/* eslint-disable no-var */
+var VERDICT_VALUES = ['nourish', 'show', 'distill', 'filter'];
+
+// Rounds of re-asking before the remaining tweets are failed closed.
+// Each round re-asks only the tweets that came back invalid, splitting
+// the batch in half when none of it came back usable.
+var MAX_REPAIR_ROUNDS = 2;
+
+// JSON schema for a batch of verdicts, wrapped in an object because tool
+// inputs and structured outputs must be objects. The API's
+// record_verdicts tool, claude --json-schema and OpenAI-compatible
+// response_format all use it, so the model can't answer in prose. It is
+// looser than verdictError (category is any string, distilled isn't
+// tied to the verdict); validateVerdicts still has the final word.
+var VERDICTS_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    verdicts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', pattern: '^tweet_[0-9]+$' },
+          verdict: { type: 'string', enum: VERDICT_VALUES },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          category: { type: 'string' },
+          reason: { type: 'string' },
+          distilled: { type: 'string' },
+          low_effort: { type: 'boolean' },
+        },
+        required: ['id', 'verdict', 'reason'],
+      },
+    },
+  },
+  required: ['verdicts'],
+};
+
+var VERDICTS_TOOL = {
+  name: 'record_verdicts',
+  description: 'Record one verdict for every tweet in the batch.',
+  input_schema: VERDICTS_JSON_SCHEMA,
+};
+
+// The verdict array inside a structured response, or null when there
+// isn't one (so classifyWithRepair re-asks).
+function unwrapVerdicts(output) {
+  return output && Array.isArray(output.verdicts) ? output.verdicts : null;
+}
+
+// Returns null when `entry` is a valid verdict for a batch of
+// `batchSize` tweets, otherwise a short description of the problem.
+function verdictError(entry, batchSize) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return 'not an object';
+
+  const match = typeof entry.id === 'string' ? /^tweet_(\d+)$/.exec(entry.id) : null;
+  if (!match || Number(match[1]) >= batchSize) return `bad id ${JSON.stringify(entry.id)}`;
+
+  const verdict = typeof entry.verdict === 'string' ? entry.verdict.toLowerCase() : null;
+  if (!VERDICT_VALUES.includes(verdict)) return `unknown verdict ${JSON.stringify(entry.verdict)}`;
+  if (entry.reason !== undefined && typeof entry.reason !== 'string') return 'reason is not a string';
+  if (entry.confidence !== undefined &&
+      (typeof entry.confidence !== 'number' || !(entry.confidence >= 0 && entry.confidence <= 1))) {
+    return 'confidence is not a number between 0 and 1';
+  }
+  if (entry.category !== undefined && typeof entry.category !== 'string') return 'category is not a string';
+  if (entry.low_effort !== undefined && typeof entry.low_effort !== 'boolean') return 'low_effort is not a boolean';
+  if (verdict === 'distill' && (typeof entry.distilled !== 'string' || !entry.distilled.trim())) {
+    return 'distill verdict without distilled text';
+  }
+  return null;
+}
+
+// Checks a whole model response against a batch of `batchSize` tweets.
+// `verdicts[i]` is the first valid verdict for tweet_i, or null; the
+// tweets listed in `invalid` need to be asked again, and `errors[i]`
+// says why. Anything that isn't an array makes every tweet invalid.
+function validateVerdicts(raw, batchSize) {
+  const verdicts = new Array(batchSize).fill(null);
+  const errors = new Array(batchSize).fill(Array.isArray(raw) ? 'missing' : 'response is not a JSON array');
+
+  if (Array.isArray(raw)) {
+    for (const entry of raw) {
+      const match = entry && typeof entry.id === 'string' ? /^tweet_(\d+)$/.exec(entry.id) : null;
+      const index = match ? Number(match[1]) : -1;
+      if (index < 0 || index >= batchSize || verdicts[index]) continue;
+
+      const error = verdictError(entry, batchSize);
+      if (error) {
+        errors[index] = error;
+      } else {
+        verdicts[index] = entry;
+        errors[index] = null;
+      }
+    }
+  }
+
+  const invalid = [];
+  errors.forEach((error, i) => { if (error) invalid.push(i); });
+  return { verdicts, invalid, errors };
+}
+
+// Classifies `count` tweets, re-asking only for those whose verdicts fail
+// validation. `classifyOnce(indices)` must classify the tweets at those
+// positions as tweet_0..tweet_{indices.length - 1} and resolve with the
+// parsed model output, or null if it couldn't be parsed. It may reject
+// for backend failures: the first call's rejection propagates, a repair
+// call's just leaves its tweets without a verdict. `onRepair(indices,
+// errors)` is told about every re-ask.
+//
+// Resolves with an array aligned to the batch positions holding each
+// valid verdict (ids as the model sent them) or null, which the caller
+// fails closed.
+async function classifyWithRepair(count, classifyOnce, onRepair) {
+  const results = new Array(count).fill(null);
+
+  async function run(indices, round) {
+    let raw;
+    try {
+      raw = await classifyOnce(indices);
+    } catch (e) {
+      if (round === 0) throw e;
+      return;
+    }
+
+    const checked = validateVerdicts(raw, indices.length);
+    checked.verdicts.forEach((verdict, i) => {
+      if (verdict) results[indices[i]] = verdict;
+    });
+    if (checked.invalid.length === 0 || round >= MAX_REPAIR_ROUNDS) return;
+
+    const bad = checked.invalid.map((i) => indices[i]);
+    if (onRepair) onRepair(bad, checked.invalid.map((i) => checked.errors[i]));
+
+    if (bad.length > 1 && bad.length === indices.length) {
+      // Nothing usable came back — smaller batches are more likely to parse
+      const half = Math.ceil(bad.length / 2);
+      await run(bad.slice(0, half), round + 1);
+      await run(bad.slice(half), round + 1);
+    } else {
+      await run(bad, round + 1);
+    }
+  }
+
+  await run(results.map((_, i) => i), 0);
+  return results;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    VERDICT_VALUES, VERDICTS_JSON_SCHEMA, VERDICTS_TOOL, unwrapVerdicts,
+    verdictError, validateVerdicts, classifyWithRepair,
+  };
+}